@@ -1,127 +1,393 @@
-package crypto;
-
-import com.sun.net.httpserver.HttpServer;
-import com.sun.net.httpserver.HttpExchange;
-
-import javax.crypto.KeyGenerator;
-import javax.crypto.SecretKey;
-import java.io.IOException;
-import java.io.OutputStream;
-import java.net.InetSocketAddress;
-import java.nio.charset.StandardCharsets;
-import java.util.Base64;
-import java.util.Map;
-import java.util.concurrent.ConcurrentHashMap;
-
-public class SessionKeyServer {
-
-    // sessionId -> AES key (bytes)
-    private static final Map<String, byte[]> sessionKeys = new ConcurrentHashMap<>();
-
-    public static void main(String[] args) throws Exception {
-        HttpServer server = HttpServer.create(new InetSocketAddress(8081), 0);
-
-        server.createContext("/api/session", SessionKeyServer::handleCreateSession);
-        server.createContext("/api/join", SessionKeyServer::handleJoinSession);
-
-        server.setExecutor(null);
-        server.start();
-        System.out.println("Crypto service running on http://localhost:8081");
-    }
-
-    // Host: POST /api/session  body: {"sessionId":"demo"}
-    private static void handleCreateSession(HttpExchange exchange) throws IOException {
-        // CORS preflight
-        if ("OPTIONS".equalsIgnoreCase(exchange.getRequestMethod())) {
-            sendJson(exchange, 200, "");
-            return;
-        }
-
-        if (!"POST".equalsIgnoreCase(exchange.getRequestMethod())) {
-            sendJson(exchange, 405, "{\"error\":\"Method not allowed\"}");
-            return;
-        }
-
-        String body = new String(exchange.getRequestBody().readAllBytes(), StandardCharsets.UTF_8);
-        String sessionId = extractField(body, "sessionId");
-        if (sessionId == null || sessionId.isEmpty()) {
-            sendJson(exchange, 400, "{\"error\":\"Missing sessionId\"}");
-            return;
-        }
-
-        byte[] key = sessionKeys.computeIfAbsent(sessionId, s -> {
-            try {
-                KeyGenerator kg = KeyGenerator.getInstance("AES");
-                kg.init(256);
-                SecretKey sk = kg.generateKey();
-                return sk.getEncoded();
-            } catch (Exception e) {
-                throw new RuntimeException(e);
-            }
-        });
-
-        String aesB64 = Base64.getEncoder().encodeToString(key);
-        String resp = "{\"sessionId\":\"" + sessionId + "\",\"aesKeyB64\":\"" + aesB64 + "\"}";
-        sendJson(exchange, 200, resp);
-    }
-
-    // Viewer: POST /api/join  body: {"sessionId":"demo"}
-    private static void handleJoinSession(HttpExchange exchange) throws IOException {
-        // CORS preflight
-        if ("OPTIONS".equalsIgnoreCase(exchange.getRequestMethod())) {
-            sendJson(exchange, 200, "");
-            return;
-        }
-
-        if (!"POST".equalsIgnoreCase(exchange.getRequestMethod())) {
-            sendJson(exchange, 405, "{\"error\":\"Method not allowed\"}");
-            return;
-        }
-
-        String body = new String(exchange.getRequestBody().readAllBytes(), StandardCharsets.UTF_8);
-        String sessionId = extractField(body, "sessionId");
-        if (sessionId == null || sessionId.isEmpty()) {
-            sendJson(exchange, 400, "{\"error\":\"Missing sessionId\"}");
-            return;
-        }
-
-        byte[] key = sessionKeys.get(sessionId);
-        if (key == null) {
-            sendJson(exchange, 404, "{\"error\":\"Unknown sessionId\"}");
-            return;
-        }
-
-        String aesB64 = Base64.getEncoder().encodeToString(key);
-        String resp = "{\"sessionId\":\"" + sessionId + "\",\"aesKeyB64\":\"" + aesB64 + "\"}";
-        sendJson(exchange, 200, resp);
-    }
-
-    private static void sendJson(HttpExchange ex, int status, String body) throws IOException {
-        byte[] bytes = body.getBytes(StandardCharsets.UTF_8);
-
-        // CORS headers so React (localhost:5173) can talk to this server
-        ex.getResponseHeaders().set("Content-Type", "application/json");
-        ex.getResponseHeaders().set("Access-Control-Allow-Origin", "*");
-        ex.getResponseHeaders().set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
-        ex.getResponseHeaders().set("Access-Control-Allow-Headers", "Content-Type");
-
-        ex.sendResponseHeaders(status, bytes.length);
-        try (OutputStream os = ex.getResponseBody()) {
-            os.write(bytes);
-        }
-    }
-
-    // tiny JSON helper for {"field":"value"}
-    private static String extractField(String json, String field) {
-        String key = "\"" + field + "\"";
-        int idx = json.indexOf(key);
-        if (idx < 0) return null;
-        idx = json.indexOf(':', idx);
-        if (idx < 0) return null;
-        idx = json.indexOf('"', idx);
-        if (idx < 0) return null;
-        int end = json.indexOf('"', idx + 1);
-        if (end < 0) return null;
-        return json.substring(idx + 1, end);
-    }
+package crypto;
+
+import com.sun.net.httpserver.HttpServer;
+import com.sun.net.httpserver.HttpExchange;
+
+import javax.crypto.KeyGenerator;
+import javax.crypto.Mac;
+import javax.crypto.SecretKey;
+import javax.crypto.spec.SecretKeySpec;
+import java.io.IOException;
+import java.io.OutputStream;
+import java.net.InetSocketAddress;
+import java.nio.charset.StandardCharsets;
+import java.security.MessageDigest;
+import java.security.SecureRandom;
+import java.util.Base64;
+import java.util.HexFormat;
+import java.util.Locale;
+import java.util.Map;
+import java.util.Set;
+import java.util.concurrent.ConcurrentHashMap;
+import java.util.regex.Pattern;
+
+public class SessionKeyServer {
+
+    // Current key for a session; epoch increases by one on every rotation.
+    // owner is the creating streamer's token subject (lowercased).
+    private record SessionKey(int epoch, byte[] key, String owner) {}
+
+    // sessionId -> current AES key (bytes) + epoch
+    private static final Map<String, SessionKey> sessionKeys = new ConcurrentHashMap<>();
+    // sessionId -> subjects the owner removed; /api/join refuses them
+    private static final Map<String, Set<String>> revokedSubjects = new ConcurrentHashMap<>();
+
+    // ---- Auth config ----
+    // AUTH_SECRET signs session tokens (HS256); the WebSocket relay must use the same value.
+    private static final String DEV_AUTH_SECRET = "cis4634-dev-secret";
+    private static final byte[] AUTH_SECRET =
+            System.getenv().getOrDefault("AUTH_SECRET", DEV_AUTH_SECRET).getBytes(StandardCharsets.UTF_8);
+    // Streamers sign in with this password; viewers only need a display name.
+    private static final String STREAMER_PASSWORD = System.getenv().getOrDefault(
+            "STREAMER_PASSWORD", randomHex(6));
+    private static final long TOKEN_TTL_SECONDS = 8 * 60 * 60;
+    private static final Pattern NAME_PATTERN = Pattern.compile("[A-Za-z0-9 ._-]{1,32}");
+
+    public static void main(String[] args) throws Exception {
+        HttpServer server = HttpServer.create(new InetSocketAddress(8081), 0);
+
+        server.createContext("/api/login", SessionKeyServer::handleLogin);
+        server.createContext("/api/session", SessionKeyServer::handleCreateSession);
+        server.createContext("/api/join", SessionKeyServer::handleJoinSession);
+        server.createContext("/api/rotate", SessionKeyServer::handleRotateSession);
+        server.createContext("/api/revoke", SessionKeyServer::handleRevokeSubject);
+
+        server.setExecutor(null);
+        server.start();
+        System.out.println("Crypto service running on http://localhost:8081");
+        if (System.getenv("AUTH_SECRET") == null) {
+            System.out.println("WARNING: AUTH_SECRET not set, using the development secret");
+        }
+        if (System.getenv("STREAMER_PASSWORD") == null) {
+            System.out.println("Streamer password for this run: " + STREAMER_PASSWORD);
+        }
+    }
+
+    // Anyone: POST /api/login  body: {"name":"Ty","role":"streamer","password":"..."}
+    private static void handleLogin(HttpExchange exchange) throws IOException {
+        // CORS preflight
+        if ("OPTIONS".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 200, "");
+            return;
+        }
+
+        if (!"POST".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 405, "{\"error\":\"Method not allowed\"}");
+            return;
+        }
+
+        String body = new String(exchange.getRequestBody().readAllBytes(), StandardCharsets.UTF_8);
+        String name = extractField(body, "name");
+        String role = extractField(body, "role");
+        if (name == null || !NAME_PATTERN.matcher(name.trim()).matches()) {
+            sendJson(exchange, 400, "{\"error\":\"Display name must be 1-32 letters, digits, spaces, . _ or -\"}");
+            return;
+        }
+        if (!"viewer".equals(role) && !"streamer".equals(role)) {
+            sendJson(exchange, 400, "{\"error\":\"Role must be viewer or streamer\"}");
+            return;
+        }
+        if ("streamer".equals(role)) {
+            String password = extractField(body, "password");
+            if (password == null || !MessageDigest.isEqual(
+                    password.getBytes(StandardCharsets.UTF_8),
+                    STREAMER_PASSWORD.getBytes(StandardCharsets.UTF_8))) {
+                sendJson(exchange, 401, "{\"error\":\"Invalid streamer password\"}");
+                return;
+            }
+        }
+
+        name = name.trim();
+        String token = issueToken(name, role);
+        sendJson(exchange, 200,
+                "{\"token\":\"" + token + "\",\"name\":\"" + name + "\",\"role\":\"" + role + "\"}");
+    }
+
+    // Host: POST /api/session  body: {"sessionId":"demo"}
+    private static void handleCreateSession(HttpExchange exchange) throws IOException {
+        // CORS preflight
+        if ("OPTIONS".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 200, "");
+            return;
+        }
+
+        if (!"POST".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 405, "{\"error\":\"Method not allowed\"}");
+            return;
+        }
+
+        String claims = requireRole(exchange, "streamer");
+        if (claims == null) return;
+
+        String body = new String(exchange.getRequestBody().readAllBytes(), StandardCharsets.UTF_8);
+        String sessionId = extractField(body, "sessionId");
+        if (sessionId == null || sessionId.isEmpty()) {
+            sendJson(exchange, 400, "{\"error\":\"Missing sessionId\"}");
+            return;
+        }
+
+        String owner = subjectOf(claims);
+        SessionKey sk = sessionKeys.computeIfAbsent(sessionId, s -> new SessionKey(0, newAesKey(), owner));
+        if (!requireOwner(exchange, sk, owner)) return;
+        sendJson(exchange, 200, keyJson(sessionId, sk));
+    }
+
+    // Viewer: POST /api/join  body: {"sessionId":"demo"}
+    private static void handleJoinSession(HttpExchange exchange) throws IOException {
+        // CORS preflight
+        if ("OPTIONS".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 200, "");
+            return;
+        }
+
+        if (!"POST".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 405, "{\"error\":\"Method not allowed\"}");
+            return;
+        }
+
+        String claims = requireRole(exchange, null);
+        if (claims == null) return;
+
+        String body = new String(exchange.getRequestBody().readAllBytes(), StandardCharsets.UTF_8);
+        String sessionId = extractField(body, "sessionId");
+        if (sessionId == null || sessionId.isEmpty()) {
+            sendJson(exchange, 400, "{\"error\":\"Missing sessionId\"}");
+            return;
+        }
+
+        SessionKey sk = sessionKeys.get(sessionId);
+        if (sk == null) {
+            sendJson(exchange, 404, "{\"error\":\"Unknown sessionId\"}");
+            return;
+        }
+        if (revokedSubjects.getOrDefault(sessionId, Set.of()).contains(subjectOf(claims))) {
+            sendJson(exchange, 403, "{\"error\":\"Removed from this session by the host\"}");
+            return;
+        }
+
+        sendJson(exchange, 200, keyJson(sessionId, sk));
+    }
+
+    // Host: POST /api/rotate  body: {"sessionId":"demo"}
+    // Replaces the session key with a fresh one under the next epoch.
+    private static void handleRotateSession(HttpExchange exchange) throws IOException {
+        // CORS preflight
+        if ("OPTIONS".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 200, "");
+            return;
+        }
+
+        if (!"POST".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 405, "{\"error\":\"Method not allowed\"}");
+            return;
+        }
+
+        String claims = requireRole(exchange, "streamer");
+        if (claims == null) return;
+
+        String body = new String(exchange.getRequestBody().readAllBytes(), StandardCharsets.UTF_8);
+        String sessionId = extractField(body, "sessionId");
+        if (sessionId == null || sessionId.isEmpty()) {
+            sendJson(exchange, 400, "{\"error\":\"Missing sessionId\"}");
+            return;
+        }
+
+        String caller = subjectOf(claims);
+        SessionKey sk = sessionKeys.computeIfPresent(sessionId,
+                (s, old) -> old.owner().equals(caller)
+                        ? new SessionKey(old.epoch() + 1, newAesKey(), old.owner())
+                        : old);
+        if (sk == null) {
+            sendJson(exchange, 404, "{\"error\":\"Unknown sessionId\"}");
+            return;
+        }
+        if (!requireOwner(exchange, sk, caller)) return;
+
+        sendJson(exchange, 200, keyJson(sessionId, sk));
+    }
+
+    // Host: POST /api/revoke  body: {"sessionId":"demo","subject":"Ty"}
+    // Refuses the subject's /api/join calls for the rest of the session; the
+    // host rotates afterwards so the key they already hold goes stale.
+    private static void handleRevokeSubject(HttpExchange exchange) throws IOException {
+        // CORS preflight
+        if ("OPTIONS".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 200, "");
+            return;
+        }
+
+        if (!"POST".equalsIgnoreCase(exchange.getRequestMethod())) {
+            sendJson(exchange, 405, "{\"error\":\"Method not allowed\"}");
+            return;
+        }
+
+        String claims = requireRole(exchange, "streamer");
+        if (claims == null) return;
+
+        String body = new String(exchange.getRequestBody().readAllBytes(), StandardCharsets.UTF_8);
+        String sessionId = extractField(body, "sessionId");
+        String subject = extractField(body, "subject");
+        if (sessionId == null || sessionId.isEmpty() || subject == null || subject.isEmpty()) {
+            sendJson(exchange, 400, "{\"error\":\"Missing sessionId or subject\"}");
+            return;
+        }
+
+        SessionKey sk = sessionKeys.get(sessionId);
+        if (sk == null) {
+            sendJson(exchange, 404, "{\"error\":\"Unknown sessionId\"}");
+            return;
+        }
+        String caller = subjectOf(claims);
+        if (!requireOwner(exchange, sk, caller)) return;
+        String revoked = subject.toLowerCase(Locale.ROOT);
+        if (revoked.equals(caller)) {
+            sendJson(exchange, 400, "{\"error\":\"Cannot revoke the session owner\"}");
+            return;
+        }
+
+        revokedSubjects.computeIfAbsent(sessionId, s -> ConcurrentHashMap.newKeySet()).add(revoked);
+        sendJson(exchange, 200, "{\"sessionId\":\"" + sessionId + "\",\"revoked\":true}");
+    }
+
+    // ---- Session tokens (HS256 JWT) ----
+    private static String issueToken(String name, String role) {
+        long now = System.currentTimeMillis() / 1000;
+        String header = b64url("{\"alg\":\"HS256\",\"typ\":\"JWT\"}");
+        String payload = b64url("{\"sub\":\"" + name + "\",\"name\":\"" + name + "\",\"role\":\"" + role
+                + "\",\"iat\":" + now + ",\"exp\":" + (now + TOKEN_TTL_SECONDS) + "}");
+        return header + "." + payload + "." + sign(header + "." + payload);
+    }
+
+    // Returns the token's claims JSON, or null if the signature or expiry is bad
+    private static String verifyToken(String token) {
+        String[] parts = token.split("\\.");
+        if (parts.length != 3) return null;
+        if (!MessageDigest.isEqual(
+                sign(parts[0] + "." + parts[1]).getBytes(StandardCharsets.UTF_8),
+                parts[2].getBytes(StandardCharsets.UTF_8))) {
+            return null;
+        }
+        String claims;
+        try {
+            claims = new String(Base64.getUrlDecoder().decode(parts[1]), StandardCharsets.UTF_8);
+        } catch (IllegalArgumentException e) {
+            return null;
+        }
+        long exp = extractLong(claims, "exp");
+        return exp > System.currentTimeMillis() / 1000 ? claims : null;
+    }
+
+    // Checks "Authorization: Bearer <token>" (and the role, if given);
+    // returns the claims, or sends 401/403 and returns null when the caller
+    // may not proceed.
+    private static String requireRole(HttpExchange ex, String role) throws IOException {
+        String auth = ex.getRequestHeaders().getFirst("Authorization");
+        String claims = auth != null && auth.startsWith("Bearer ") ? verifyToken(auth.substring(7)) : null;
+        if (claims == null) {
+            sendJson(ex, 401, "{\"error\":\"Missing or invalid session token\"}");
+            return null;
+        }
+        if (role != null && !role.equals(extractField(claims, "role"))) {
+            sendJson(ex, 403, "{\"error\":\"Requires " + role + " role\"}");
+            return null;
+        }
+        return claims;
+    }
+
+    // Token subject, lowercased the same way the relay compares it for bans
+    private static String subjectOf(String claims) {
+        String sub = extractField(claims, "sub");
+        return (sub != null ? sub : extractField(claims, "name")).toLowerCase(Locale.ROOT);
+    }
+
+    // Only the streamer who created a session may fetch, rotate or revoke on it;
+    // sends 403 and returns false for anyone else.
+    private static boolean requireOwner(HttpExchange ex, SessionKey sk, String subject) throws IOException {
+        if (sk.owner().equals(subject)) return true;
+        sendJson(ex, 403, "{\"error\":\"Session belongs to another streamer\"}");
+        return false;
+    }
+
+    private static String sign(String data) {
+        try {
+            Mac mac = Mac.getInstance("HmacSHA256");
+            mac.init(new SecretKeySpec(AUTH_SECRET, "HmacSHA256"));
+            return Base64.getUrlEncoder().withoutPadding()
+                    .encodeToString(mac.doFinal(data.getBytes(StandardCharsets.UTF_8)));
+        } catch (Exception e) {
+            throw new RuntimeException(e);
+        }
+    }
+
+    private static String randomHex(int bytes) {
+        byte[] b = new byte[bytes];
+        new SecureRandom().nextBytes(b);
+        return HexFormat.of().formatHex(b);
+    }
+
+    private static String b64url(String s) {
+        return Base64.getUrlEncoder().withoutPadding().encodeToString(s.getBytes(StandardCharsets.UTF_8));
+    }
+
+    private static byte[] newAesKey() {
+        try {
+            KeyGenerator kg = KeyGenerator.getInstance("AES");
+            kg.init(256);
+            SecretKey sk = kg.generateKey();
+            return sk.getEncoded();
+        } catch (Exception e) {
+            throw new RuntimeException(e);
+        }
+    }
+
+    private static String keyJson(String sessionId, SessionKey sk) {
+        String aesB64 = Base64.getEncoder().encodeToString(sk.key());
+        return "{\"sessionId\":\"" + sessionId + "\",\"epoch\":" + sk.epoch()
+                + ",\"aesKeyB64\":\"" + aesB64 + "\"}";
+    }
+
+    private static void sendJson(HttpExchange ex, int status, String body) throws IOException {
+        byte[] bytes = body.getBytes(StandardCharsets.UTF_8);
+
+        // CORS headers so React (localhost:5173) can talk to this server
+        ex.getResponseHeaders().set("Content-Type", "application/json");
+        ex.getResponseHeaders().set("Access-Control-Allow-Origin", "*");
+        ex.getResponseHeaders().set("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+        ex.getResponseHeaders().set("Access-Control-Allow-Headers", "Content-Type, Authorization");
+
+        ex.sendResponseHeaders(status, bytes.length);
+        try (OutputStream os = ex.getResponseBody()) {
+            os.write(bytes);
+        }
+    }
+
+    // tiny JSON helper for {"field":"value"}
+    private static String extractField(String json, String field) {
+        String key = "\"" + field + "\"";
+        int idx = json.indexOf(key);
+        if (idx < 0) return null;
+        idx = json.indexOf(':', idx);
+        if (idx < 0) return null;
+        idx = json.indexOf('"', idx);
+        if (idx < 0) return null;
+        int end = json.indexOf('"', idx + 1);
+        if (end < 0) return null;
+        return json.substring(idx + 1, end);
+    }
+
+    // same for {"field":123}; returns -1 if missing
+    private static long extractLong(String json, String field) {
+        String key = "\"" + field + "\"";
+        int idx = json.indexOf(key);
+        if (idx < 0) return -1;
+        idx = json.indexOf(':', idx);
+        if (idx < 0) return -1;
+        int end = idx + 1;
+        while (end < json.length() && (Character.isDigit(json.charAt(end)) || json.charAt(end) == ' ')) end++;
+        try {
+            return Long.parseLong(json.substring(idx + 1, end).trim());
+        } catch (NumberFormatException e) {
+            return -1;
+        }
+    }
 }
\ No newline at end of file
@@ -2,16 +2,21 @@
 import React, { useState } from "react";
 import { LoginScreen } from "./components/LoginScreen";
 import SecureStreamingApp from "./components/SecureStreamingApp";
+import { clearSession, loadSession } from "./lib/auth";
 
 
 export default function App() {
-  const [user, setUser] = useState(null); // { name, role: "streamer" | "viewer" }
+  // { name, role: "streamer" | "viewer", token }, restored across reloads
+  const [user, setUser] = useState(() => loadSession());
 
   if (!user) {
     return <LoginScreen onLogin={setUser} />;
   }
 
-  const handleLogout = () => setUser(null);
+  const handleLogout = () => {
+    clearSession();
+    setUser(null);
+  };
 
-  return <SecureStreamingApp user={user} onLogout={handleLogout} />;
+  return <SecureStreamingApp user={user} token={user.token} onLogout={handleLogout} />;
 }
@@ -1,13 +1,15 @@
 // src/components/LoginScreen.jsx
 import React, { useState } from "react";
+import { login } from "../lib/auth";
 
 export function LoginScreen({ onLogin }) {
   const [name, setName] = useState("");
   const [role, setRole] = useState("viewer");
   const [code, setCode] = useState("");
   const [error, setError] = useState("");
+  const [busy, setBusy] = useState(false);
 
-  const handleSubmit = (e) => {
+  const handleSubmit = async (e) => {
     e.preventDefault();
     setError("");
 
@@ -16,13 +18,20 @@ export function LoginScreen({ onLogin }) {
       return;
     }
 
-    // Simple demo-only gate for streamer/admin
-    if (role === "streamer" && code !== "CIS4634-ADMIN") {
-      setError("Invalid admin access code.");
-      return;
+    // The key service checks the streamer password and signs a session token.
+    setBusy(true);
+    try {
+      const session = await login({
+        name: name.trim(),
+        role,
+        password: role === "streamer" ? code : undefined,
+      });
+      onLogin(session); // { name, role: "streamer" | "viewer", token }
+    } catch (err) {
+      setError(err.message || "Login failed.");
+    } finally {
+      setBusy(false);
     }
-
-    onLogin({ name: name.trim(), role }); // "streamer" | "viewer"
   };
 
   return (
@@ -77,27 +86,28 @@ export function LoginScreen({ onLogin }) {
           {role === "streamer" && (
             <div>
               <label className="block text-xs mb-1 text-slate-300">
-                Admin Access Code
+                Streamer Password
               </label>
               <input
                 type="password"
                 className="w-full rounded-xl bg-[#0F0F0F] border border-[#2a2a2a] px-3 py-2 text-sm text-slate-200 focus:outline-none focus:ring-2 focus:ring-[#E50914]/40"
-                placeholder="CIS4634-ADMIN"
+                placeholder="STREAMER_PASSWORD from the key server"
                 value={code}
                 onChange={(e) => setCode(e.target.value)}
               />
               <p className="mt-1 text-[11px] text-slate-500">
-                Demo-only gate. In a real system this would be backed by proper
-                authentication and a user store.
+                Checked by the Java key server, which signs a session token for the
+                relay and key requests.
               </p>
             </div>
           )}
 
           <button
             type="submit"
-            className="w-full mt-2 rounded-xl bg-[#E50914] px-4 py-2.5 text-sm font-semibold text-white shadow-md shadow-[#E50914]/40 hover:bg-[#ff1a25] transition"
+            className="w-full mt-2 rounded-xl bg-[#E50914] px-4 py-2.5 text-sm font-semibold text-white shadow-md shadow-[#E50914]/40 hover:bg-[#ff1a25] transition disabled:opacity-60"
+            disabled={busy}
           >
-            Enter Secure Streaming Platform
+            {busy ? "Signing in…" : "Enter Secure Streaming Platform"}
           </button>
         </form>
 
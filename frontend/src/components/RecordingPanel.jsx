@@ -0,0 +1,410 @@
+// src/components/RecordingPanel.jsx
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import { Circle, Download, Eye, EyeOff, FolderOpen, KeyRound, Lock, Pause, Play, Square } from "lucide-react";
+import { decodeChat } from "../lib/chat";
+import { KEYFILE_MIN_PASSPHRASE } from "../lib/crypto";
+import { createVideoRenderer, hasWebCodecs } from "../lib/media";
+import {
+  RecordingPlayer,
+  SessionRecorder,
+  importRecordingKeys,
+  parseRecording,
+  sealRecordingKeys,
+} from "../lib/recording";
+
+const formatMs = (ms) => {
+  const s = Math.floor(ms / 1000);
+  return `${Math.floor(s / 60)}:${String(s % 60).padStart(2, "0")}`;
+};
+
+const formatMiB = (n) => `${(n / (1024 * 1024)).toFixed(1)} MiB`;
+
+// Object URL that is revoked when replaced or on unmount.
+function useObjectUrl() {
+  const [url, setUrl] = useState(null);
+  useEffect(() => () => url && URL.revokeObjectURL(url), [url]);
+  const set = useCallback((blob) => setUrl(blob ? URL.createObjectURL(blob) : null), []);
+  return [url, set];
+}
+
+// Host: record the encrypted frame stream. Anyone: play a recording back
+// with its keys.
+export function RecordingPanel({ session, canRecord, currentKey }) {
+  // ---- Recording ----
+  const [recorder] = useState(() => new SessionRecorder(session));
+  const [recStats, setRecStats] = useState(null); // { frames, bytes, ms } while recording
+  const [recUrl, setRecUrl] = useObjectUrl();
+  const [keysUrl, setKeysUrl] = useObjectUrl();
+  const [recName, setRecName] = useState("");
+  const [recKeys, setRecKeys] = useState(null); // { [epoch]: base64 } until sealed
+  const [recSessionId, setRecSessionId] = useState(null);
+  const [sealPassphrase, setSealPassphrase] = useState("");
+  const [sealing, setSealing] = useState(false);
+
+  const stopRecording = useCallback(() => {
+    const { blob, keys } = recorder.stop();
+    const stamp = new Date(recorder.startedAt).toISOString().replace(/[:.]/g, "-");
+    setRecStats(null);
+    setRecName(`${session.sessionId || "session"}-${stamp}`);
+    setRecUrl(blob);
+    setRecKeys(Object.keys(keys).length ? keys : null);
+    setRecSessionId(session.sessionId || null);
+    setKeysUrl(null);
+    session.log(`⏹️ Recording stopped: ${recorder.frames} frames, ${formatMiB(blob.size)}.`);
+  }, [recorder, session, setRecUrl, setKeysUrl]);
+
+  // The keys are only offered sealed with a passphrase (one key file per epoch).
+  const sealKeys = async () => {
+    setSealing(true);
+    try {
+      const files = await sealRecordingKeys(recKeys, sealPassphrase, { sessionId: recSessionId });
+      setKeysUrl(new Blob([JSON.stringify(files, null, 2)], { type: "application/json" }));
+      setRecKeys(null);
+      setSealPassphrase("");
+      session.log(`🔐 Sealed ${files.length} recording key(s) with your passphrase.`);
+    } catch (err) {
+      session.log(`❌ Could not seal the keys: ${err?.message || err}`);
+    } finally {
+      setSealing(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!recStats) return;
+    const id = setInterval(() => {
+      // The recorder detaches itself at RECORDING_MAX_BYTES; keep what it has.
+      if (!recorder.recording) stopRecording();
+      else setRecStats({ frames: recorder.frames, bytes: recorder.bytes, ms: Date.now() - recorder.startedAt });
+    }, 1000);
+    return () => clearInterval(id);
+  }, [recorder, recStats, stopRecording]);
+
+  // Stop (and drop) a recording still running when the panel goes away.
+  useEffect(() => () => recorder.recording && recorder.stop(), [recorder]);
+
+  const startRecording = () => {
+    const keys = currentKey?.b64 ? { [currentKey.epoch]: currentKey.b64 } : {};
+    recorder.start({ keys });
+    setRecUrl(null);
+    setKeysUrl(null);
+    setRecKeys(null);
+    setRecStats({ frames: 0, bytes: recorder.bytes, ms: 0 });
+    session.log("⏺️ Recording the encrypted frame stream.");
+  };
+
+  // ---- Playback ----
+  const [rec, setRec] = useState(null); // parsed recording
+  const [keyText, setKeyText] = useState("");
+  const [showKey, setShowKey] = useState(false); // the key field is masked until revealed
+  const [keyPassphrase, setKeyPassphrase] = useState("");
+  const [opening, setOpening] = useState(false);
+  const [player, setPlayer] = useState(null);
+  const [pos, setPos] = useState({ index: 0, t: 0, counter: 0 });
+  const [playing, setPlaying] = useState(false);
+  const [lines, setLines] = useState([]); // decrypted chat so far
+  const [errors, setErrors] = useState(0);
+  const [counterInput, setCounterInput] = useState("");
+  const [counterSender, setCounterSender] = useState(""); // "" = the recording client
+  const canvasRef = useRef(null);
+  const rendererRef = useRef(null);
+
+  useEffect(
+    () => () => {
+      player?.pause();
+      rendererRef.current?.close();
+    },
+    [player]
+  );
+
+  const loadRecording = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    player?.pause();
+    setPlayer(null);
+    try {
+      const parsed = parseRecording(await file.arrayBuffer());
+      setRec(parsed);
+      session.log(`📼 Loaded ${file.name}: ${parsed.frames.length} frames, ${formatMs(parsed.duration)}.`);
+    } catch (err) {
+      setRec(null);
+      session.log(`❌ ${file.name}: ${err?.message || err}`);
+    }
+  };
+
+  const loadKeyFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (file) setKeyText(await file.text());
+  };
+
+  const resetView = () => {
+    rendererRef.current?.close();
+    rendererRef.current = null;
+    setLines([]);
+    setErrors(0);
+  };
+
+  const openPlayback = async () => {
+    let keys;
+    setOpening(true);
+    try {
+      keys = await importRecordingKeys(keyText, keyPassphrase, { sessionId: rec.meta.sessionId });
+    } catch (err) {
+      session.log(`❌ Invalid key: ${err?.message || err}`);
+      return;
+    } finally {
+      setOpening(false);
+    }
+    player?.pause();
+    resetView();
+    const p = new RecordingPlayer(rec, keys, {
+      onFrame: (f) => {
+        if (f.kind === "video") {
+          if (!hasWebCodecs() || !canvasRef.current) return;
+          if (!rendererRef.current) {
+            rendererRef.current = createVideoRenderer(canvasRef.current, {
+              onError: (err) => session.log(`Playback decode error: ${err?.message || err}`),
+            });
+          }
+          rendererRef.current.push(f.data);
+        } else if (f.kind === "chat") {
+          const msg = decodeChat(f.data);
+          if (msg?.t === "msg") setLines((prev) => [...prev, { ...msg, at: f.t }]);
+        }
+      },
+      onError: () => setErrors((n) => n + 1),
+      onReset: resetView,
+      onPosition: (next) => {
+        setPos(next);
+        setPlaying(p.playing);
+      },
+    });
+    setPlayer(p);
+    setCounterSender("");
+    setPos(p.position);
+    setPlaying(false);
+  };
+
+  const togglePlay = () => {
+    if (!player) return;
+    if (player.playing) player.pause();
+    else player.play();
+    setPlaying(player.playing);
+  };
+
+  const seekTo = (index) => player?.seek(index);
+
+  return (
+    <div className="rounded-3xl border border-[#1f2937] bg-[#0b1120]/90 backdrop-blur-xl shadow-lg shadow-black/70 p-4 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold flex items-center gap-2">
+          <Circle className="w-4 h-4 text-[#E50914]" />
+          Encrypted Recording
+        </h3>
+        {(canRecord || recStats) && (
+          <button
+            onClick={recStats ? stopRecording : startRecording}
+            className={`inline-flex items-center gap-2 rounded-2xl px-3 py-1.5 text-xs font-medium transition ${
+              recStats
+                ? "bg-[#E50914] text-white hover:bg-[#f6121d]"
+                : "border border-[#E50914]/50 text-[#ffd2d7] bg-[#200306] hover:bg-[#2a050a]"
+            }`}
+          >
+            {recStats ? <Square className="w-3.5 h-3.5" /> : <Circle className="w-3.5 h-3.5" />}
+            {recStats ? "Stop recording" : "Record"}
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs text-slate-400">
+        Saves the frames exactly as they crossed the relay (headers, IVs, ciphertext). The file
+        stays encrypted; playback needs the session key(s), kept in a separate file sealed with
+        a passphrase.
+      </p>
+
+      {recStats && (
+        <p className="text-[11px] text-[#ffd2d7] flex items-center gap-2">
+          <span className="h-2 w-2 rounded-full bg-[#E50914] animate-pulse" />
+          {formatMs(recStats.ms)} · {recStats.frames} frames · {formatMiB(recStats.bytes)}
+        </p>
+      )}
+
+      {recUrl && (
+        <div className="flex flex-wrap gap-2 text-xs">
+          <a
+            href={recUrl}
+            download={`${recName}.ssrec`}
+            className="inline-flex items-center gap-1 rounded-2xl px-3 py-1.5 border border-[#1f2937] text-sky-300 hover:bg-[#111827]"
+          >
+            <Download className="w-3 h-3" /> Recording (.ssrec)
+          </a>
+          {keysUrl ? (
+            <a
+              href={keysUrl}
+              download={`${recName}.keys.json`}
+              className="inline-flex items-center gap-1 rounded-2xl px-3 py-1.5 border border-amber-500/40 text-amber-300 hover:bg-[#111827]"
+              title="Store apart from the recording"
+            >
+              <KeyRound className="w-3 h-3" /> Keys (.json) – store separately
+            </a>
+          ) : recKeys ? (
+            <div className="flex flex-1 min-w-[14rem] gap-2">
+              <input
+                type="password"
+                autoComplete="new-password"
+                className="flex-1 min-w-0 rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-1.5 focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+                placeholder={`Passphrase for the keys (${KEYFILE_MIN_PASSPHRASE}+ characters)`}
+                value={sealPassphrase}
+                onChange={(e) => setSealPassphrase(e.target.value)}
+              />
+              <button
+                onClick={sealKeys}
+                disabled={sealing || sealPassphrase.length < KEYFILE_MIN_PASSPHRASE}
+                className="inline-flex items-center gap-1 rounded-2xl px-3 py-1.5 border border-amber-500/40 text-amber-300 hover:bg-[#111827] disabled:opacity-50"
+                title="Seal the recording's keys with the passphrase, then download them"
+              >
+                <Lock className="w-3 h-3" /> {sealing ? "Sealing…" : "Seal keys"}
+              </button>
+            </div>
+          ) : (
+            <span className="text-[11px] text-slate-500 self-center">
+              No exportable keys (E2E keys stay in memory); keep the Base64 key yourself.
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Playback */}
+      <div className="rounded-2xl border border-[#1f2937] bg-[#020617] p-3 space-y-3 text-xs">
+        <div className="flex flex-wrap items-center gap-2">
+          <label className="inline-flex items-center gap-1 rounded-2xl px-3 py-1.5 border border-[#1f2937] text-slate-300 hover:bg-[#111827] cursor-pointer">
+            <FolderOpen className="w-3 h-3" /> Open recording
+            <input type="file" accept=".ssrec" className="hidden" onChange={loadRecording} />
+          </label>
+          <label className="inline-flex items-center gap-1 rounded-2xl px-3 py-1.5 border border-[#1f2937] text-slate-300 hover:bg-[#111827] cursor-pointer">
+            <KeyRound className="w-3 h-3" /> Key file
+            <input type="file" accept=".json,application/json" className="hidden" onChange={loadKeyFile} />
+          </label>
+          {rec && (
+            <span className="text-slate-500">
+              {rec.meta.sessionId} · {rec.frames.length} frames · {formatMs(rec.duration)}
+            </span>
+          )}
+        </div>
+        <div className="flex gap-2">
+          <div className="relative flex-1 min-w-0">
+            <input
+              type={showKey ? "text" : "password"}
+              autoComplete="off"
+              spellCheck={false}
+              className="w-full rounded-2xl bg-[#0b1120] border border-[#1f2937] pl-3 pr-9 py-2 font-mono text-[11px]
+                         focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+              placeholder="Base64 key, or load a key file"
+              value={keyText}
+              onChange={(e) => setKeyText(e.target.value)}
+            />
+            <button
+              type="button"
+              className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded-lg text-slate-400 hover:text-slate-200"
+              onClick={() => setShowKey((v) => !v)}
+              title={showKey ? "Hide key" : "Show key"}
+            >
+              {showKey ? <EyeOff className="w-3.5 h-3.5" /> : <Eye className="w-3.5 h-3.5" />}
+            </button>
+          </div>
+          <button
+            onClick={openPlayback}
+            disabled={!rec || !keyText.trim() || opening}
+            className="rounded-2xl px-3 py-2 bg-indigo-500 text-white hover:bg-indigo-400 disabled:opacity-60"
+          >
+            Decrypt
+          </button>
+        </div>
+        {/^\s*[[{]/.test(keyText) && (
+          <input
+            type="password"
+            autoComplete="current-password"
+            className="w-full rounded-2xl bg-[#0b1120] border border-[#1f2937] px-3 py-2
+                       focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+            placeholder="Key file passphrase"
+            value={keyPassphrase}
+            onChange={(e) => setKeyPassphrase(e.target.value)}
+          />
+        )}
+
+        {player && (
+          <>
+            <canvas ref={canvasRef} className="w-full rounded-xl bg-black aspect-video" />
+            {!hasWebCodecs() && (
+              <p className="text-[11px] text-slate-500">This browser cannot decode video; chat only.</p>
+            )}
+            <div className="flex items-center gap-2">
+              <button
+                onClick={togglePlay}
+                className="rounded-full p-2 bg-indigo-500 text-white hover:bg-indigo-400"
+                title={playing ? "Pause" : "Play"}
+              >
+                {playing ? <Pause className="w-3.5 h-3.5" /> : <Play className="w-3.5 h-3.5" />}
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={rec.duration}
+                value={pos.t}
+                onChange={(e) => seekTo(player.indexAtTime(Number(e.target.value)))}
+                className="flex-1"
+              />
+              <span className="font-mono text-slate-400 w-24 text-right">
+                {formatMs(pos.t)} / {formatMs(rec.duration)}
+              </span>
+            </div>
+            <div className="flex items-center gap-2">
+              <span className="text-slate-400" title={pos.sender ? `Sender ${pos.sender}` : undefined}>
+                Frame #{pos.counter}
+              </span>
+              <input
+                className="w-24 rounded-xl bg-[#0b1120] border border-[#1f2937] px-2 py-1 font-mono"
+                placeholder="counter"
+                value={counterInput}
+                onChange={(e) => setCounterInput(e.target.value.replace(/\D/g, ""))}
+              />
+              <select
+                className="rounded-xl bg-[#0b1120] border border-[#1f2937] px-2 py-1 font-mono text-slate-300"
+                title="Each sender numbers its own frames; the counter is looked up in this sender's"
+                value={counterSender}
+                onChange={(e) => setCounterSender(e.target.value)}
+              >
+                {player.senders().map((id) => (
+                  <option key={id} value={id === rec.meta.recordedBy ? "" : id}>
+                    {id === rec.meta.recordedBy ? "recorder" : id.slice(0, 8)}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={() =>
+                  counterInput && seekTo(player.indexAtCounter(Number(counterInput), counterSender || undefined))
+                }
+                className="rounded-xl px-2 py-1 border border-[#1f2937] text-slate-300 hover:bg-[#111827]"
+              >
+                Go
+              </button>
+              {errors > 0 && (
+                <span className="ml-auto text-[#ff8a94]">{errors} frames failed to decrypt</span>
+              )}
+            </div>
+            <div className="max-h-32 overflow-y-auto space-y-1">
+              {lines.length === 0 && <p className="text-slate-500 italic">No chat up to here.</p>}
+              {lines.map((m) => (
+                <div key={m.id} className="text-slate-300">
+                  <span className="text-slate-500 font-mono">{formatMs(m.at)}</span>{" "}
+                  <span className="font-medium text-slate-100">{m.name || "unknown"}</span>: {m.text}
+                </div>
+              ))}
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,184 @@
+// src/components/SecureChatPanel.jsx
+import React, { useEffect, useRef, useState } from "react";
+import {
+  Check,
+  CheckCheck,
+  Clock,
+  Crown,
+  Eye,
+  LockKeyhole,
+  Send,
+  TriangleAlert,
+  X,
+} from "lucide-react";
+import { MAX_CHAT_CHARS } from "../lib/chat";
+
+// Consecutive messages from one sender within this gap share a header.
+const GROUP_GAP_MS = 5 * 60 * 1000;
+
+const timeOf = (ts) => new Date(ts).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" });
+
+function groupMessages(messages) {
+  const groups = [];
+  for (const m of messages) {
+    const last = groups[groups.length - 1];
+    const prev = last?.items[last.items.length - 1];
+    if (prev && prev.from === m.from && prev.insecure === m.insecure && m.ts - prev.ts < GROUP_GAP_MS) {
+      last.items.push(m);
+    } else {
+      const { id: key, from, name, role, mine, insecure, ts } = m;
+      groups.push({ key, from, name, role, mine, insecure, ts, items: [m] });
+    }
+  }
+  return groups;
+}
+
+function DeliveryState({ m }) {
+  const failed = m.failedFor.length;
+  return (
+    <span className="inline-flex items-center gap-1 text-[10px] text-slate-500">
+      {m.status === "sending" && <Clock className="w-3 h-3" />}
+      {m.status === "sent" && <Check className="w-3 h-3" />}
+      {m.status === "delivered" && (
+        <span className="inline-flex items-center gap-0.5 text-sky-300" title="Decrypted by these peers">
+          <CheckCheck className="w-3 h-3" />
+          {m.deliveredTo.length}
+        </span>
+      )}
+      {m.status === "failed" && (
+        <span className="inline-flex items-center gap-0.5 text-[#ff8a94]">
+          <X className="w-3 h-3" /> not sent
+        </span>
+      )}
+      {failed > 0 && (
+        <span className="inline-flex items-center gap-0.5 text-amber-300" title="Peers that reported a decrypt failure">
+          <TriangleAlert className="w-3 h-3" /> {failed} could not decrypt
+        </span>
+      )}
+    </span>
+  );
+}
+
+export function SecureChatPanel({ messages, onSend, ready, hint }) {
+  const [input, setInput] = useState("");
+  const listRef = useRef(null);
+
+  // Keep the newest message in view.
+  useEffect(() => {
+    const el = listRef.current;
+    if (el) el.scrollTop = el.scrollHeight;
+  }, [messages]);
+
+  const submit = async () => {
+    if (!ready || !input.trim()) return;
+    const text = input;
+    setInput("");
+    if (!(await onSend(text))) setInput((cur) => cur || text);
+  };
+
+  return (
+    <div className="rounded-3xl border border-[#1f2937] bg-[#0b1120]/90 backdrop-blur-xl shadow-lg shadow-black/70 p-4 flex flex-col">
+      <h3 className="text-sm font-semibold flex items-center gap-2 mb-2">
+        <Send className="w-4 h-4 text-sky-400" />
+        Secure Chat (AES path)
+      </h3>
+
+      <p className="text-xs text-slate-400 mb-3">
+        Sender, role, time and text are encrypted together with AES-GCM; the relay only sees
+        sizes. Names and roles shown are the relay's, checked against each frame's sender.
+      </p>
+
+      <div
+        ref={listRef}
+        className="h-64 overflow-y-auto rounded-2xl border border-[#1f2937] bg-[#020617] p-3 space-y-3 text-sm"
+      >
+        {messages.length === 0 && (
+          <p className="text-[11px] text-slate-500 italic">No messages yet.</p>
+        )}
+        {groupMessages(messages).map((g) => (
+          <div key={g.key} className={`flex flex-col ${g.mine ? "items-end" : "items-start"}`}>
+            <div className="flex items-center gap-1.5 text-[11px] text-slate-400 mb-0.5">
+              {g.role === "host" ? (
+                <Crown className="w-3 h-3 text-amber-300" />
+              ) : (
+                g.role === "viewer" && <Eye className="w-3 h-3 text-sky-300" />
+              )}
+              <span className="font-medium text-slate-200">
+                {g.mine ? "You" : g.name || g.from?.slice(0, 8) || "unknown"}
+              </span>
+              <span>{timeOf(g.ts)}</span>
+              {g.insecure && (
+                <span className="inline-flex items-center gap-0.5 px-1.5 rounded-full bg-amber-500/10 text-amber-300 border border-amber-500/40">
+                  <TriangleAlert className="w-3 h-3" /> INSECURE plaintext
+                </span>
+              )}
+            </div>
+            {g.items.map((m) => (
+              <div key={m.id} className={`max-w-[85%] mb-1 flex flex-col ${g.mine ? "items-end" : "items-start"}`}>
+                {m.status === "undecryptable" ? (
+                  <div className="inline-flex items-center gap-1 rounded-2xl px-3 py-1.5 text-xs italic border border-[#E50914]/50 text-[#ffd2d7] bg-[#200306]">
+                    <LockKeyhole className="w-3 h-3" /> Message could not be decrypted
+                  </div>
+                ) : (
+                  <div
+                    className={`rounded-2xl px-3 py-1.5 whitespace-pre-wrap break-words ${
+                      m.insecure
+                        ? "border border-amber-500/40 bg-amber-500/10 text-amber-100"
+                        : g.mine
+                          ? "bg-sky-500/20 text-sky-50"
+                          : "bg-slate-800/80 text-slate-100"
+                    }`}
+                  >
+                    {m.text}
+                  </div>
+                )}
+                {m.claimed && (
+                  <span
+                    className="inline-flex items-center gap-1 text-[10px] text-amber-300"
+                    title="The encrypted message names a different sender than the relay's roster"
+                  >
+                    <TriangleAlert className="w-3 h-3" />
+                    Claims to be {m.claimed.name || "unnamed"} ({m.claimed.role})
+                  </span>
+                )}
+                {m.mine && !m.insecure && <DeliveryState m={m} />}
+              </div>
+            ))}
+          </div>
+        ))}
+      </div>
+
+      <div className="mt-3 flex gap-2">
+        <input
+          className="flex-1 min-w-0 rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-2.5 text-sm
+                     focus:outline-none focus:ring-2 focus:ring-sky-500/70 disabled:opacity-60"
+          placeholder={ready ? "Type a secure message… (Enter to send)" : hint}
+          value={input}
+          maxLength={MAX_CHAT_CHARS}
+          disabled={!ready}
+          onChange={(e) => setInput(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === "Enter" && !e.shiftKey && !e.nativeEvent.isComposing) {
+              e.preventDefault();
+              submit();
+            }
+          }}
+        />
+        <button
+          className="inline-flex items-center justify-center gap-2 rounded-2xl px-4 py-2.5
+                     bg-sky-500 text-sm font-medium text-sky-950 hover:bg-sky-400 transition
+                     shadow-md shadow-sky-500/40 disabled:opacity-60"
+          onClick={submit}
+          disabled={!ready || !input.trim()}
+        >
+          <Send className="w-4 h-4" />
+          <span>Send</span>
+        </button>
+      </div>
+
+      <p className="mt-2 text-[11px] text-slate-500">
+        Encrypted chat shares the same AES key and IV/AAD rules as your media frames.
+      </p>
+    </div>
+  );
+}
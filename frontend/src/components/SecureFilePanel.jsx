@@ -0,0 +1,125 @@
+// src/components/SecureFilePanel.jsx
+import React, { useRef } from "react";
+import { Download, FileLock2, Paperclip, ShieldAlert, ShieldCheck, X } from "lucide-react";
+import { FILE_MAX_BYTES } from "../lib/files";
+
+const STATUS_LABEL = {
+  sending: "Encrypting & sending",
+  sent: "Sent",
+  receiving: "Receiving",
+  verifying: "Checking SHA-256",
+  verified: "Verified",
+  corrupt: "Hash mismatch – discarded",
+  failed: "Failed",
+  cancelled: "Cancelled",
+};
+
+function formatBytes(n) {
+  if (n < 1024) return `${n} B`;
+  if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KiB`;
+  return `${(n / (1024 * 1024)).toFixed(1)} MiB`;
+}
+
+export function SecureFilePanel({ transfers, onShare, onCancel, canShare, ready }) {
+  const inputRef = useRef(null);
+
+  const pick = (e) => {
+    Array.from(e.target.files || []).forEach((file) => onShare(file));
+    e.target.value = ""; // allow picking the same file again
+  };
+
+  return (
+    <div className="rounded-3xl border border-[#1f2937] bg-[#0b1120]/90 backdrop-blur-xl shadow-lg shadow-black/70 p-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-sm font-semibold flex items-center gap-2">
+          <FileLock2 className="w-4 h-4 text-emerald-400" />
+          Encrypted Files
+        </h3>
+        {canShare && (
+          <>
+            <input ref={inputRef} type="file" multiple className="hidden" onChange={pick} />
+            <button
+              className="inline-flex items-center gap-2 rounded-2xl px-3 py-1.5 text-xs font-medium
+                         bg-emerald-500 text-emerald-950 hover:bg-emerald-400 transition disabled:opacity-60"
+              onClick={() => inputRef.current?.click()}
+              disabled={!ready}
+              title={ready ? undefined : "Connect and load a key first"}
+            >
+              <Paperclip className="w-3.5 h-3.5" />
+              Share file
+            </button>
+          </>
+        )}
+      </div>
+
+      <p className="text-xs text-slate-400 mb-3">
+        Files are split into 64 KiB chunks, each sealed with the session key. Viewers get them
+        only after the SHA-256 in the encrypted manifest matches. Up to{" "}
+        {formatBytes(FILE_MAX_BYTES)}; only the host can share.
+      </p>
+
+      <div className="space-y-2 max-h-80 overflow-y-auto">
+        {transfers.length === 0 && (
+          <p className="text-[11px] text-slate-500 italic">No files shared yet.</p>
+        )}
+        {[...transfers].reverse().map((t) => {
+          const pct = t.size ? Math.round((t.bytes / t.size) * 100) : 100;
+          const active = t.status === "sending" || t.status === "receiving";
+          const bad = t.status === "corrupt" || t.status === "failed";
+          return (
+            <div key={t.id} className="rounded-2xl border border-[#1f2937] bg-[#020617] p-3 text-xs">
+              <div className="flex items-center justify-between gap-2">
+                <span className="font-medium text-slate-100 truncate" title={t.name}>
+                  {t.name}
+                </span>
+                <span className="shrink-0 text-slate-500">{formatBytes(t.size)}</span>
+              </div>
+              <div className="mt-1.5 h-1.5 rounded-full bg-slate-800 overflow-hidden">
+                <div
+                  className={`h-full transition-all ${bad ? "bg-[#E50914]" : "bg-emerald-400"}`}
+                  style={{ width: `${pct}%` }}
+                />
+              </div>
+              <div className="mt-1.5 flex items-center justify-between gap-2">
+                <span
+                  className={`inline-flex items-center gap-1 ${
+                    bad ? "text-[#ff8a94]" : t.status === "verified" ? "text-emerald-300" : "text-slate-400"
+                  }`}
+                >
+                  {t.status === "verified" && <ShieldCheck className="w-3 h-3" />}
+                  {bad && <ShieldAlert className="w-3 h-3" />}
+                  {STATUS_LABEL[t.status]}
+                  {active && ` · ${pct}%`}
+                </span>
+                {t.mine && t.status === "sending" && (
+                  <button
+                    className="inline-flex items-center gap-1 text-slate-400 hover:text-slate-200"
+                    onClick={() => onCancel(t.id)}
+                  >
+                    <X className="w-3 h-3" /> Cancel
+                  </button>
+                )}
+                {t.url && (
+                  <a
+                    className="inline-flex items-center gap-1 text-sky-300 hover:text-sky-200"
+                    href={t.url}
+                    download={t.name}
+                  >
+                    <Download className="w-3 h-3" /> Download
+                  </a>
+                )}
+              </div>
+              {t.url && t.type.startsWith("image/") && (
+                <img
+                  src={t.url}
+                  alt={t.name}
+                  className="mt-2 max-h-48 rounded-xl border border-[#1f2937] object-contain"
+                />
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
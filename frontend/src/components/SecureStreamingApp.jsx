@@ -1,7 +1,7 @@
 // src/components/SecureStreamingApp.jsx
 import React, { useEffect, useRef, useState } from "react";
 import { motion } from "framer-motion";
-import { v4 as uuidv4 } from "uuid";
+import QRCode from "qrcode";
 import {
   Copy,
   KeyRound,
@@ -16,180 +16,245 @@ import {
   Radio,
   Wifi,
   RotateCw,
+  Monitor,
+  Square,
+  BadgeCheck,
+  Fingerprint,
+  QrCode,
+  TriangleAlert,
+  Users,
+  Crown,
+  Eye,
+  UserX,
+  Ban,
+  LockKeyhole,
+  Unlock,
+  WifiOff,
+  X,
+  Mic,
+  MicOff,
+  Hand,
+  Volume2,
+  VolumeX,
+  EyeOff,
+  Download,
+  Upload,
 } from "lucide-react";
+import {
+  captureMedia,
+  createVideoRenderer,
+  hasWebCodecs,
+  startVideoEncoder,
+  QUALITY_LAYERS,
+} from "../lib/media";
+import { QUALITY_AUTO } from "../lib/quality";
+import { FRAME_FLAG } from "../lib/frame";
+import { KEYFILE_MIN_PASSPHRASE } from "../lib/crypto";
+import { RECONNECT_MAX_MS } from "../lib/connection";
+import { RELAY_URL } from "../lib/session";
+import {
+  useLatencyMeter,
+  useSecureChat,
+  useSecureFiles,
+  useQualityLayer,
+  useSecureAudio,
+  useSecureSession,
+  useStreamHealth,
+} from "../hooks/useSecureSession";
+import { SecureChatPanel } from "./SecureChatPanel";
+import { SecureFilePanel } from "./SecureFilePanel";
+import { RecordingPanel } from "./RecordingPanel";
+import { StreamHealthPanel } from "./StreamHealthPanel";
 
-const WS_RETRY_MS = 1200;
 const MAX_LOG = 400;
 
-// ---- Base64 helpers ----
-function b64ToBytes(b64) {
-  const bin = atob(b64);
-  const bytes = new Uint8Array(bin.length);
-  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
-  return bytes;
-}
-function bytesToB64(buf) {
-  const bytes = new Uint8Array(buf);
-  let s = "";
-  for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
-  return btoa(s);
-}
-
-// ---- WebCrypto AES-GCM helpers ----
-async function importRawAesKey(rawKey) {
-  return crypto.subtle.importKey("raw", rawKey, { name: "AES-GCM" }, false, [
-    "encrypt",
-    "decrypt",
-  ]);
-}
-async function exportRawAesKey(key) {
-  const raw = await crypto.subtle.exportKey("raw", key);
-  return new Uint8Array(raw);
-}
-async function genAesKey(bits = 256) {
-  return crypto.subtle.generateKey(
-    { name: "AES-GCM", length: bits },
-    true,
-    ["encrypt", "decrypt"]
-  );
-}
-async function aesGcmEncrypt(key, plaintext, iv, aad) {
-  const ct = await crypto.subtle.encrypt(
-    { name: "AES-GCM", iv, additionalData: aad },
-    key,
-    plaintext
-  );
-  return new Uint8Array(ct);
-}
-async function aesGcmDecrypt(key, ciphertext, iv, aad) {
-  const pt = await crypto.subtle.decrypt(
-    { name: "AES-GCM", iv, additionalData: aad },
-    key,
-    ciphertext
+// Host: the quality layers online viewers receive, i.e. the ones to encode.
+const subscribedLayers = (session) =>
+  new Set(
+    [...session.roster.values()]
+      .filter((p) => p.online && p.role === "viewer")
+      .map((p) => p.layer || 0)
   );
-  return new Uint8Array(pt);
-}
-
-// ---- Latency meter hook ----
-function useLatencyMeter(wsRef) {
-  const [rtt, setRtt] = useState(null);
-  const lastPingTs = useRef(null);
-
-  useEffect(() => {
-    const id = setInterval(() => {
-      const ws = wsRef.current;
-      if (!ws || ws.readyState !== WebSocket.OPEN) return;
-      lastPingTs.current = performance.now();
-      ws.send(JSON.stringify({ type: "metric", ts: Date.now() }));
-    }, 3000);
-    return () => clearInterval(id);
-  }, [wsRef]);
-
-  const onPong = () => {
-    if (lastPingTs.current) setRtt(Math.round(performance.now() - lastPingTs.current));
-  };
 
-  return { rtt, onPong };
-}
+// Offers `data` as a JSON file download.
+const downloadJson = (name, data) => {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = name;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
 
-export default function SecureStreamingApp({ username, token, onLogout }) {
-  const [role, setRole] = useState("viewer");
+export default function SecureStreamingApp({ user, token, onLogout }) {
+  // Identity and permissions come from the login token; the relay and key
+  // service enforce them again, this only keeps the UI honest.
+  const username = user?.name || null;
+  const canHost = user?.role === "streamer";
+  const [role, setRole] = useState(canHost ? "host" : "viewer");
   const [sessionId, setSessionId] = useState("");
-  const [clientId] = useState(() => uuidv4());
-  const [connected, setConnected] = useState(false);
-  const [wsUrl, setWsUrl] = useState("ws://localhost:8080/stream");
+  const [wsUrl, setWsUrl] = useState(RELAY_URL);
   const [log, setLog] = useState([]);
-  const [chatInput, setChatInput] = useState("");
-  const [frameCounter, setFrameCounter] = useState(0);
   const [busy, setBusy] = useState(false);
 
-  const [aesKey, setAesKey] = useState(null);
   const [aesKeyB64, setAesKeyB64] = useState("");
+  const [showKey, setShowKey] = useState(false); // the raw key field is masked until revealed
+  const [keyPassphrase, setKeyPassphrase] = useState("");
+  // "service": keys come from the Java key server; "e2e": host-generated, ECDH-wrapped per viewer
+  const [keyMode, setKeyMode] = useState("service");
+  // Host auto-rotation thresholds; 0 disables either one
+  const [autoRotateFrames, setAutoRotateFrames] = useState(0);
+  const [autoRotateMinutes, setAutoRotateMinutes] = useState(0);
+  // Security policy requested when this client creates the session (host only)
+  const [policy, setPolicy] = useState("strict");
 
-  const wsRef = useRef(null);
-  const { rtt, onPong } = useLatencyMeter(wsRef);
+  // Media: host capture source ("camera" | "screen") and viewer playback state
+  const [mediaSource, setMediaSource] = useState(null);
+  const [remoteLive, setRemoteLive] = useState(false);
+  const [mediaFrames, setMediaFrames] = useState(0);
+  // Out-of-band verification: id -> pub it was verified with, or null once
+  // that peer's key changed after verification.
+  const [verified, setVerified] = useState({});
+  const [safety, setSafety] = useState({}); // id -> "12345 67890 …"
+  const [qr, setQr] = useState(null); // { id, url } for the open QR code
+  const [openSessions, setOpenSessions] = useState(null); // relay's list, for streamers
 
-  // Java key service
-  const backendBaseUrl = "http://localhost:8081";
+  // Protocol state (relay link, key ring, roster, peer identities) lives in
+  // the SecureSession; the hook mirrors what this view renders.
+  const {
+    session,
+    link,
+    connected,
+    key: aesKey,
+    epoch: keyEpoch,
+    roster,
+    sessionInfo,
+    peers,
+    rejected,
+    ended,
+  } = useSecureSession({
+    relayUrl: wsUrl,
+    token,
+    name: username,
+    role,
+    keyMode,
+    policy,
+    autoRotateFrames,
+    autoRotateMinutes,
+  });
+  const { clientId } = session;
+  const rtt = useLatencyMeter(session);
+  const chat = useSecureChat(session);
+  const files = useSecureFiles(session);
+  const health = useStreamHealth(session);
+  const streamHealth = health.health;
+  const quality = useQualityLayer(session, streamHealth);
+  const qualityController = quality.quality;
+  const audio = useSecureAudio(session, streamHealth);
+
+  const streamRef = useRef(null);
+  const encoderRef = useRef(null);
+  const rendererRef = useRef(null);
+  const previewRef = useRef(null);
+  const canvasRef = useRef(null);
 
   const pushLog = (msg) =>
     setLog((prev) =>
       prev.length > MAX_LOG ? [...prev.slice(-MAX_LOG / 2), msg] : [...prev, msg]
     );
 
-  // ---- WebSocket connect logic ----
-  const connectWs = () => {
-    if (!sessionId) {
-      pushLog("⚠️ Enter a Session ID first.");
-      return;
-    }
-    if (wsRef.current && wsRef.current.readyState === WebSocket.OPEN) return;
-
-    const url = `${wsUrl}?id=${encodeURIComponent(sessionId)}`;
-    const ws = new WebSocket(url);
-    ws.binaryType = "arraybuffer";
-
-    ws.onopen = () => {
-      setConnected(true);
-      pushLog(`🔌 Connected to ${url}`);
-      ws.send(JSON.stringify({ type: "hello", role, sessionId, clientId }));
+  // ---- Session events ----
+  useEffect(() => {
+    const renderVideoChunk = (f) => {
+      if (!canvasRef.current) return;
+      if (!rendererRef.current) {
+        rendererRef.current = createVideoRenderer(canvasRef.current, {
+          onError: (err) => pushLog(`Video decode error: ${err?.message || err}`),
+          onRender: (captureMs) => streamHealth.rendered(captureMs),
+        });
+      }
+      if (!rendererRef.current.push(f.data, { cached: f.cached })) return; // waiting for a keyframe
+      if (f.flags & FRAME_FLAG.KEYFRAME) {
+        const from = f.cached ? ", cached" : "";
+        pushLog(`🎞️ keyframe ${f.counter} (${f.data.byteLength} bytes, dec ${f.decryptMs} ms${from})`);
+      }
+      setRemoteLive(true);
+      setMediaFrames((n) => n + 1);
     };
 
-    ws.onclose = () => {
-      setConnected(false);
-      pushLog("❌ Disconnected.");
-      setTimeout(() => connectWs(), WS_RETRY_MS);
-    };
+    const offs = [
+      session.on("log", pushLog),
+      // Chat, file and audio frames belong to useSecureChat / useSecureFiles / useSecureAudio.
+      session.onFrame((f) => {
+        if (f.kind === "video") {
+          renderVideoChunk(f);
+        } else if (f.kind !== "chat" && f.kind !== "file" && f.kind !== "audio") {
+          pushLog(`🎞️ media frame ${f.counter} (${f.data.byteLength} bytes, dec ${f.decryptMs} ms)`);
+        }
+      }),
+      // rawB64 is undefined when the key came from the Base64 field itself.
+      session.on("key", ({ rawB64 }) => rawB64 !== undefined && setAesKeyB64(rawB64)),
+      session.on("role", setRole),
+      session.on("ended", () => setRemoteLive(false)),
+      // Host: encode only the layers viewers receive; a viewer that switched
+      // layers asks for an early keyframe.
+      session.on("roster", () => encoderRef.current?.setActiveLayers(subscribedLayers(session))),
+      session.on("control", (msg) => {
+        if (msg.type === "keyframe-request") encoderRef.current?.requestKeyframe(msg.layer);
+      }),
+      // A different key than the one a peer was verified with clears the mark.
+      session.on("identity", ({ id, changed }) => {
+        if (changed) setVerified((v) => (id in v ? { ...v, [id]: null } : v));
+      }),
+    ];
+    qualityController.setQueueProbe(() => rendererRef.current?.queueSize ?? 0);
+    return () => offs.forEach((off) => off());
+  }, [session, streamHealth, qualityController]);
 
-    ws.onerror = (e) => {
-      pushLog(`WS error: ${JSON.stringify(e)}`);
+  // Recompute safety numbers whenever the session key or a peer key changes.
+  useEffect(() => {
+    if (!aesKey) return;
+    let cancelled = false;
+    Promise.all(
+      Object.keys(peers).map(async (id) => [id, await session.safetyNumberFor(id)])
+    ).then((entries) => {
+      if (!cancelled) setSafety(Object.fromEntries(entries));
+    });
+    return () => {
+      cancelled = true;
     };
+  }, [session, aesKey, peers]);
 
-    ws.onmessage = async (ev) => {
-      try {
-        if (typeof ev.data === "string") {
-          const msg = JSON.parse(ev.data);
-          if (msg.type === "pong") onPong();
-          if (msg.type === "chat") pushLog(`💬 ${msg.text}`);
-          return;
-        }
-
-        const txt = new TextDecoder().decode(ev.data);
-        const f = JSON.parse(txt);
-        if (!aesKey) {
-          pushLog("🔐 Received frame but no AES key loaded.");
-          return;
-        }
+  // Stop capture / decoding when leaving the page.
+  useEffect(
+    () => () => {
+      encoderRef.current?.stop();
+      streamRef.current?.getTracks().forEach((t) => t.stop());
+      rendererRef.current?.close();
+    },
+    []
+  );
 
-        const iv = b64ToBytes(f.ivB64);
-        const aad = b64ToBytes(f.aadB64);
-        const ct = b64ToBytes(f.payloadB64);
-        const t0 = performance.now();
-        const pt = await aesGcmDecrypt(aesKey, ct, iv, aad);
-        const ms = Math.round(performance.now() - t0);
-
-        if (f.kind === "chat") {
-          pushLog(`💬(secure) ${new TextDecoder().decode(pt)}  (dec ${ms} ms)`);
-        } else {
-          pushLog(`🎞️ media frame ${f.counter} (${pt.byteLength} bytes, dec ${ms} ms)`);
-        }
-      } catch (err) {
-        pushLog(`Decrypt/parse error: ${err?.message || err}`);
-      }
-    };
+  // ---- WebSocket connect logic ----
+  // SecureSession retries with backoff on its own; these only start/stop it.
+  const connectWs = () => {
+    if (!sessionId) {
+      pushLog("⚠️ Enter a Session ID first.");
+      return;
+    }
+    session.connect(sessionId);
+  };
 
-    wsRef.current = ws;
+  const cancelConnection = () => {
+    session.disconnect();
+    pushLog("⏹️ Disconnected; automatic reconnects stopped.");
   };
 
   // ---- AES key helpers (local) ----
   const handleGenKey = async () => {
     setBusy(true);
     try {
-      const key = await genAesKey(256);
-      setAesKey(key);
-      const raw = await exportRawAesKey(key);
-      setAesKeyB64(bytesToB64(raw));
-      pushLog("🔑 Locally generated AES-256-GCM key.");
+      await session.generateKey();
     } finally {
       setBusy(false);
     }
@@ -197,19 +262,92 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
 
   const handleLoadKey = async () => {
     try {
-      const raw = b64ToBytes(aesKeyB64);
-      const key = await importRawAesKey(raw);
-      setAesKey(key);
-      pushLog("🔓 Loaded AES key from Base64.");
+      await session.importKey(aesKeyB64);
     } catch (e) {
       pushLog("Key import failed: " + e?.message);
     }
   };
 
+  // ---- Passphrase-protected key files ----
+  const handleExportKeyFile = async () => {
+    setBusy(true);
+    try {
+      const file = await session.exportKeyFile(keyPassphrase, { sessionId: session.sessionId || sessionId });
+      downloadJson(`${file.sessionId || "session"}-epoch${file.epoch}.key.json`, file);
+    } catch (err) {
+      pushLog("Key export failed: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleImportKeyFile = async (e) => {
+    const input = e.target.files?.[0];
+    e.target.value = "";
+    if (!input) return;
+    setBusy(true);
+    try {
+      const info = await session.importKeyFile(JSON.parse(await input.text()), keyPassphrase);
+      if (!sessionId && info.sessionId) setSessionId(info.sessionId);
+    } catch (err) {
+      pushLog("Key file import failed: " + (err instanceof SyntaxError ? "not a JSON file" : err.message));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ---- End-to-end key agreement ----
+  const handleCreateE2eKey = async () => {
+    if (role !== "host") return pushLog("⚠️ Only the host creates the end-to-end key.");
+    setBusy(true);
+    try {
+      const epoch = await session.createE2eKey();
+      pushLog(
+        `🔑 Created end-to-end key (epoch ${epoch}), wrapped for ${session.viewerKeys.size} viewer(s).`
+      );
+    } catch (err) {
+      pushLog("E2E key creation failed: " + err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // ---- Host moderation ----
+  // The relay only accepts these from the session's host connection.
+  const isSessionHost = connected && sessionInfo.hostId === clientId;
+
+  const moderate = (action, target) => session.moderate(action, target);
+
+  // ---- Session lifecycle ----
+  const endSession = () => {
+    if (window.confirm("End this session for everyone?")) session.endSession();
+  };
+
+  const refreshSessions = async () => {
+    const list = await session.listSessions();
+    if (list) setOpenSessions(list);
+    else pushLog("⚠️ The relay did not return the session list.");
+  };
+
+  // ---- Safety numbers ----
+  const toggleVerified = (id) => {
+    setVerified((v) => {
+      const next = { ...v };
+      if (v[id] && v[id] === peers[id]?.pub) delete next[id];
+      else next[id] = peers[id]?.pub;
+      return next;
+    });
+  };
+
+  const toggleQr = async (id) => {
+    if (qr?.id === id) return setQr(null);
+    const url = await QRCode.toDataURL(`cis4634-safety:${safety[id]}`, { margin: 1, width: 160 });
+    setQr({ id, url });
+  };
+
   const handleRotate = () => {
-    if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN) return;
-    wsRef.current.send(JSON.stringify({ type: "rotate", reason: "manual" }));
-    pushLog("♻️ Requested key rotation.");
+    if (role !== "host") return pushLog("⚠️ Only the host can rotate the session key.");
+    session.rotate("manual");
   };
 
   // ---- Host: create session key via Java backend ----
@@ -220,21 +358,8 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
     }
 
     try {
-      const res = await fetch(`${backendBaseUrl}/api/session`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ sessionId }),
-      });
-
-      const data = await res.json();
-
-      if (data.aesKeyB64) {
-        setAesKeyB64(data.aesKeyB64);
-        await handleLoadKey();
-        pushLog("🔑 AES key loaded from Java backend (host).");
-      } else {
-        pushLog("❌ Backend did not return aesKeyB64 for /api/session.");
-      }
+      const epoch = await session.createKey(session.sessionId || sessionId);
+      pushLog(`🔑 AES key (epoch ${epoch}) loaded from Java backend (host).`);
     } catch (err) {
       pushLog("Error calling /api/session: " + err.message);
     }
@@ -248,67 +373,101 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
     }
 
     try {
-      const res = await fetch(`${backendBaseUrl}/api/join`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ sessionId }),
-      });
-
-      const data = await res.json();
-
-      if (data.aesKeyB64) {
-        setAesKeyB64(data.aesKeyB64);
-        await handleLoadKey();
-        pushLog("🔓 AES key loaded from Java backend (viewer).");
-      } else {
-        pushLog("❌ Backend did not return aesKeyB64 for /api/join.");
-      }
+      const epoch = await session.joinKey(session.sessionId || sessionId);
+      pushLog(`🔓 AES key (epoch ${epoch}) loaded from Java backend (viewer).`);
     } catch (err) {
       pushLog("Error calling /api/join: " + err.message);
     }
   };
 
-  // ---- Secure chat send ----
-  const sendSecureChat = async () => {
-    if (!aesKey) return pushLog("Load or generate an AES key first.");
-    if (!wsRef.current || wsRef.current.readyState !== WebSocket.OPEN)
-      return pushLog("Not connected.");
-
-    const counter = frameCounter + 1;
-    setFrameCounter(counter);
-
-    const iv = crypto.getRandomValues(new Uint8Array(12));
-    const aad = new TextEncoder().encode(`chat:${counter}`);
-    const pt = new TextEncoder().encode(chatInput);
-    const ct = await aesGcmEncrypt(aesKey, pt, iv, aad);
-
-    const frame = {
-      kind: "chat",
-      ivB64: bytesToB64(iv),
-      aadB64: bytesToB64(aad),
-      payloadB64: bytesToB64(ct),
-      counter,
-    };
+  // ---- Host: camera / screen capture -> VP8 -> AES-GCM ----
+  const stopMedia = () => {
+    encoderRef.current?.stop();
+    encoderRef.current = null;
+    streamRef.current?.getTracks().forEach((t) => t.stop());
+    streamRef.current = null;
+    if (previewRef.current) previewRef.current.srcObject = null;
+    setMediaSource(null);
+  };
+
+  const startMedia = async (source) => {
+    if (!hasWebCodecs()) return pushLog("❌ This browser does not support WebCodecs.");
+    if (!aesKey) return pushLog("Load or generate an AES key before streaming.");
+    if (mediaSource) stopMedia();
 
-    wsRef.current.send(JSON.stringify(frame));
-    setChatInput("");
-    pushLog(`➡️ sent secure chat (${pt.byteLength} bytes)`);
+    let stream;
+    try {
+      stream = await captureMedia(source);
+    } catch (err) {
+      pushLog(`❌ Could not start ${source} capture: ${err?.message || err}`);
+      return;
+    }
+
+    streamRef.current = stream;
+    if (previewRef.current) previewRef.current.srcObject = stream;
+    // Browser "Stop sharing" button ends the track.
+    stream.getVideoTracks()[0].addEventListener("ended", stopMedia);
+
+    encoderRef.current = startVideoEncoder(stream, {
+      onChunk: (bytes, isKey, layer) => {
+        session.send("video", bytes, isKey ? FRAME_FLAG.KEYFRAME : 0, layer).catch((err) =>
+          pushLog(`Media encrypt error: ${err?.message || err}`)
+        );
+        if (layer === 0) setMediaFrames((n) => n + 1);
+      },
+      onError: (err) => pushLog(`Video encode error: ${err?.message || err}`),
+      clock: () => session.relayNow(),
+    });
+    encoderRef.current.setActiveLayers(subscribedLayers(session));
+    setMediaSource(source);
+    setMediaFrames(0);
+    const { width, height } = encoderRef.current;
+    pushLog(`📹 Streaming ${source} (${width}x${height}, VP8) over AES-GCM.`);
   };
 
+  const retrying =
+    link.status === "reconnecting" || link.status === "offline" || link.status === "connecting";
+
   const ConnectButton = () => (
-    <button
-      onClick={connectWs}
-      className={`inline-flex items-center justify-center gap-2 rounded-full px-4 py-2 text-sm font-medium
-        ${
-          connected
-            ? "bg-emerald-500/10 text-emerald-300 border border-emerald-400/50"
-            : "bg-indigo-500 text-white border border-indigo-400 hover:bg-indigo-400"
-        }`}
-      disabled={connected}
-    >
-      {connected ? <Plug className="w-4 h-4" /> : <PlugZap className="w-4 h-4" />}
-      {connected ? "Connected" : "Connect"}
-    </button>
+    <div className="flex items-center gap-2">
+      {retrying ? (
+        <span className="inline-flex items-center justify-center gap-2 rounded-full px-4 py-2 text-sm font-medium bg-amber-500/10 text-amber-300 border border-amber-400/50">
+          {link.status === "offline" ? (
+            <WifiOff className="w-4 h-4" />
+          ) : (
+            <RotateCw className="w-4 h-4 animate-spin" />
+          )}
+          {link.status === "offline"
+            ? "Offline – waiting"
+            : link.attempt > 0
+              ? `Reconnecting (attempt ${link.attempt})`
+              : "Connecting…"}
+        </span>
+      ) : (
+        <button
+          onClick={connectWs}
+          className={`inline-flex items-center justify-center gap-2 rounded-full px-4 py-2 text-sm font-medium
+            ${
+              connected
+                ? "bg-emerald-500/10 text-emerald-300 border border-emerald-400/50"
+                : "bg-indigo-500 text-white border border-indigo-400 hover:bg-indigo-400"
+            }`}
+          disabled={connected}
+        >
+          {connected ? <Plug className="w-4 h-4" /> : <PlugZap className="w-4 h-4" />}
+          {connected ? "Connected" : "Connect"}
+        </button>
+      )}
+      {(retrying || connected) && (
+        <button
+          onClick={cancelConnection}
+          className="inline-flex items-center gap-1 text-[11px] px-2 py-1 rounded-full border border-[#1f2937] text-slate-300 hover:bg-[#111827]"
+        >
+          <X className="w-3 h-3" />
+          {connected ? "Disconnect" : "Cancel"}
+        </button>
+      )}
+    </div>
   );
 
   return (
@@ -348,6 +507,7 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
                 <div className="flex items-center gap-2 text-slate-300">
                   <span className="text-[11px] bg-[#111827] px-2 py-0.5 rounded-full border border-[#1f2937]">
                     Logged in as <span className="font-semibold">{username}</span>
+                    <span className="text-slate-500"> · {canHost ? "streamer" : "viewer"}</span>
                   </span>
                   {onLogout && (
                     <button
@@ -394,9 +554,13 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
                     <select
                       value={role}
                       onChange={(e) => setRole(e.target.value)}
-                      className="w-full rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+                      disabled={!canHost}
+                      title={canHost ? undefined : "Viewer logins cannot host"}
+                      className="w-full rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/70 disabled:opacity-60"
                     >
-                      <option value="host">Host (Streamer)</option>
+                      <option value="host" disabled={!canHost}>
+                        Host (Streamer)
+                      </option>
                       <option value="viewer">Viewer</option>
                     </select>
                   </div>
@@ -413,6 +577,28 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
                   </div>
                 </div>
 
+                <div>
+                  <label className="block text-[11px] uppercase tracking-wide text-slate-400 mb-1">
+                    Chat Policy
+                  </label>
+                  <select
+                    value={connected ? sessionInfo.policy : policy}
+                    onChange={(e) => setPolicy(e.target.value)}
+                    disabled={role !== "host" || connected}
+                    title={role === "host" ? "Applies when this session is created" : "Set by the host"}
+                    className="w-full rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-indigo-500/70 disabled:opacity-60"
+                  >
+                    <option value="strict">Strict – encrypted chat only</option>
+                    <option value="permissive">Permissive – allow plaintext chat (insecure)</option>
+                  </select>
+                  {connected && sessionInfo.policy === "permissive" && (
+                    <p className="mt-1 text-[11px] text-amber-300 flex items-center gap-1">
+                      <TriangleAlert className="w-3 h-3" />
+                      Plaintext chat is allowed here; the relay can read those messages.
+                    </p>
+                  )}
+                </div>
+
                 <div>
                   <label className="block text-[11px] uppercase tracking-wide text-slate-400 mb-1">
                     WebSocket URL
@@ -431,48 +617,301 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
                 <div className="mt-3 flex items-center justify-between">
                   <ConnectButton />
                   <span className="text-[11px] text-slate-500">
-                    Auto-retries every <span className="font-mono">{WS_RETRY_MS}ms</span>
+                    Retries with backoff, up to{" "}
+                    <span className="font-mono">{RECONNECT_MAX_MS / 1000}s</span> apart
                   </span>
                 </div>
+
+                {isSessionHost && (
+                  <button
+                    onClick={endSession}
+                    className="w-full inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2 text-xs font-medium
+                               border border-[#E50914]/50 text-[#ffd2d7] bg-[#200306] hover:bg-[#2a050a] transition"
+                  >
+                    <Square className="w-3.5 h-3.5" />
+                    End session for everyone
+                  </button>
+                )}
+
+                {connected && sessionInfo.state === "host-away" && (
+                  <p className="rounded-2xl border border-amber-500/40 bg-amber-500/10 px-3 py-2 text-[11px] text-amber-300 flex items-center gap-1.5">
+                    <TriangleAlert className="w-3.5 h-3.5 shrink-0" />
+                    Host disconnected. The session ends at{" "}
+                    {new Date(sessionInfo.endsAt).toLocaleTimeString()} unless they return.
+                  </p>
+                )}
+
+                {ended && !connected && (
+                  <p className="rounded-2xl border border-[#1f2937] bg-[#020617] px-3 py-2 text-[11px] text-slate-300 flex items-center gap-1.5">
+                    <Radio className="w-3.5 h-3.5 shrink-0 text-slate-500" />
+                    Stream ended{" "}
+                    {ended.reason === "host-left" ? "– the host did not come back." : "by the host."}
+                  </p>
+                )}
+
+                {canHost && connected && (
+                  <div className="rounded-2xl border border-[#1f2937] bg-[#020617] p-3">
+                    <div className="flex items-center justify-between">
+                      <span className="text-[11px] uppercase tracking-wide text-slate-400">
+                        Sessions on this relay
+                      </span>
+                      <button
+                        onClick={refreshSessions}
+                        className="inline-flex items-center gap-1 text-[11px] text-slate-300 hover:text-slate-100"
+                      >
+                        <RotateCw className="w-3 h-3" /> Refresh
+                      </button>
+                    </div>
+                    {openSessions && (
+                      <ul className="mt-2 space-y-1 text-xs">
+                        {openSessions.length === 0 && (
+                          <li className="text-slate-500">No open sessions.</li>
+                        )}
+                        {openSessions.map((s) => (
+                          <li key={s.sessionId}>
+                            <button
+                              onClick={() => setSessionId(s.sessionId)}
+                              title="Use this Session ID on the next connect"
+                              className={`w-full flex items-center justify-between gap-2 rounded-xl px-2 py-1 text-left hover:bg-[#111827] ${
+                                s.sessionId === sessionId ? "text-indigo-300" : "text-slate-300"
+                              }`}
+                            >
+                              <span className="font-mono truncate">{s.sessionId}</span>
+                              <span className="shrink-0 text-[11px] text-slate-500">
+                                {s.state} · {s.members} in · {s.policy}
+                                {s.locked ? " · locked" : ""}
+                              </span>
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+            </div>
+
+            {/* Participants */}
+            <div className="rounded-3xl border border-[#1f2937] bg-[#0b1120]/90 backdrop-blur-xl shadow-xl shadow-black/70 p-5">
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold flex items-center gap-2">
+                  <Users className="w-4 h-4 text-sky-400" />
+                  Participants
+                </h3>
+                <div className="flex items-center gap-2">
+                  {isSessionHost ? (
+                    <button
+                      className={`inline-flex items-center gap-1 text-[11px] px-2 py-0.5 rounded-full border transition ${
+                        sessionInfo.locked
+                          ? "bg-amber-500/10 text-amber-300 border-amber-500/40"
+                          : "bg-[#020617] text-slate-300 border-[#1f2937] hover:bg-slate-800"
+                      }`}
+                      onClick={() => moderate(sessionInfo.locked ? "unlock" : "lock")}
+                      title={sessionInfo.locked ? "Allow new joins" : "Block new joins"}
+                    >
+                      {sessionInfo.locked ? (
+                        <LockKeyhole className="w-3 h-3" />
+                      ) : (
+                        <Unlock className="w-3 h-3" />
+                      )}
+                      {sessionInfo.locked ? "Locked" : "Lock"}
+                    </button>
+                  ) : (
+                    sessionInfo.locked && (
+                      <span className="inline-flex items-center gap-1 text-[11px] px-2 py-0.5 rounded-full bg-amber-500/10 text-amber-300 border border-amber-500/40">
+                        <LockKeyhole className="w-3 h-3" /> Locked
+                      </span>
+                    )
+                  )}
+                  <span className="text-[11px] px-2 py-0.5 rounded-full bg-[#020617] text-slate-200 border border-[#1f2937]">
+                    {Object.values(roster).filter((p) => p.online && p.role === "viewer").length}{" "}
+                    watching
+                  </span>
+                </div>
+              </div>
+
+              <div className="mt-3 space-y-1.5 text-xs">
+                {!connected && Object.keys(roster).length === 0 && (
+                  <p className="text-[11px] text-slate-500">Connect to see who is in the session.</p>
+                )}
+                {Object.values(roster).map((p) => (
+                  <div
+                    key={p.clientId}
+                    className="flex items-center justify-between gap-2 rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-1.5"
+                  >
+                    <div className="flex items-center gap-2 min-w-0">
+                      <span
+                        className={`h-2 w-2 rounded-full ${
+                          p.online ? "bg-emerald-400" : "bg-slate-600"
+                        }`}
+                        title={p.online ? "Connected" : "Left"}
+                      />
+                      <span
+                        className={`truncate ${
+                          !p.online
+                            ? "text-slate-500"
+                            : audio.speakers.includes(p.clientId)
+                              ? "text-emerald-300"
+                              : "text-slate-200"
+                        }`}
+                      >
+                        {p.name || p.clientId.slice(0, 8)}
+                        {p.clientId === clientId && <span className="text-slate-500"> (you)</span>}
+                      </span>
+                      {p.online && p.hand && (
+                        <span title="Asks to talk">
+                          <Hand className="w-3.5 h-3.5 text-amber-300 shrink-0" />
+                        </span>
+                      )}
+                      {p.online && p.talk && (
+                        <span title="May talk">
+                          <Mic className="w-3.5 h-3.5 text-emerald-400 shrink-0" />
+                        </span>
+                      )}
+                      {p.role === "host" ? (
+                        <span className="inline-flex items-center gap-1 rounded-full px-1.5 py-0.5 text-[10px] bg-amber-500/10 text-amber-300 border border-amber-500/40">
+                          <Crown className="w-3 h-3" /> Host
+                        </span>
+                      ) : (
+                        <span className="inline-flex items-center gap-1 rounded-full px-1.5 py-0.5 text-[10px] bg-sky-500/10 text-sky-300 border border-sky-500/40">
+                          <Eye className="w-3 h-3" /> Viewer
+                        </span>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {p.online && p.role === "viewer" && (
+                        <span className="text-[10px] text-slate-500" title="Video quality layer received">
+                          {QUALITY_LAYERS.find((l) => l.id === (p.layer || 0))?.name}
+                        </span>
+                      )}
+                      <span className="font-mono text-[11px] text-slate-400">
+                        {!p.online ? "left" : p.rtt != null ? `${p.rtt} ms` : "–"}
+                      </span>
+                      {isSessionHost && p.online && p.clientId !== clientId && (
+                        <>
+                          <button
+                            className={`p-1 rounded-lg hover:bg-slate-800 ${
+                              p.talk ? "text-emerald-400 hover:text-slate-300" : "text-slate-400 hover:text-emerald-300"
+                            }`}
+                            onClick={() => moderate(p.talk ? "revoke-talk" : "allow-talk", p.clientId)}
+                            title={p.talk ? "Revoke push-to-talk" : "Allow push-to-talk"}
+                          >
+                            {p.talk ? <MicOff className="w-3.5 h-3.5" /> : <Mic className="w-3.5 h-3.5" />}
+                          </button>
+                          <button
+                            className="p-1 rounded-lg text-slate-400 hover:text-amber-300 hover:bg-slate-800"
+                            onClick={() => moderate("kick", p.clientId)}
+                            title="Kick (and rotate the key)"
+                          >
+                            <UserX className="w-3.5 h-3.5" />
+                          </button>
+                          <button
+                            className="p-1 rounded-lg text-slate-400 hover:text-[#E50914] hover:bg-slate-800"
+                            onClick={() => moderate("ban", p.clientId)}
+                            title="Ban this login for the session (and rotate the key). Viewer logins are name-only: lock the session to stop a rejoin under a new name"
+                          >
+                            <Ban className="w-3.5 h-3.5" />
+                          </button>
+                        </>
+                      )}
+                    </div>
+                  </div>
+                ))}
               </div>
             </div>
 
             {/* AES Key Management */}
             <div className="rounded-3xl border border-[#1f2937] bg-[#0b1120]/90 backdrop-blur-xl shadow-xl shadow-black/70 p-5">
-              <h3 className="text-sm font-semibold flex items-center gap-2">
-                <KeyRound className="w-4 h-4 text-emerald-400" />
-                AES Key Management
-              </h3>
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold flex items-center gap-2">
+                  <KeyRound className="w-4 h-4 text-emerald-400" />
+                  AES Key Management
+                </h3>
+                {aesKey && (
+                  <span className="text-[11px] px-2 py-0.5 rounded-full bg-[#020617] text-emerald-300 border border-emerald-500/40">
+                    Epoch {keyEpoch}
+                  </span>
+                )}
+              </div>
               <p className="mt-1 text-xs text-slate-400">
-                Per-session AES-256-GCM key. Host and viewers fetch the same key from the Java key
-                service, then all encryption happens locally in the browser.
+                {keyMode === "e2e"
+                  ? "Per-session AES-256-GCM key created by the host and wrapped for each viewer with ECDH (P-256) + HKDF. Neither the relay nor the key service ever holds it."
+                  : "Per-session AES-256-GCM key. Host and viewers fetch the same key from the Java key service, then all encryption happens locally in the browser."}
               </p>
 
               <div className="mt-4 space-y-3 text-sm">
-                {/* Backend-driven key buttons */}
-                <div className="flex flex-col sm:flex-row gap-2">
-                  <button
-                    className="flex-1 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2.5
-                               bg-emerald-500 text-sm font-medium text-emerald-950 hover:bg-emerald-400 transition
-                               shadow-md shadow-emerald-500/40 disabled:opacity-60"
-                    onClick={createSessionKeyFromBackend}
-                    disabled={busy}
-                  >
-                    <Lock className="w-4 h-4" />
-                    <span>Host: Get Key from Backend</span>
-                  </button>
-                  <button
-                    className="flex-1 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2.5
-                               bg-sky-500 text-sm font-medium text-sky-950 hover:bg-sky-400 transition
-                               shadow-md shadow-sky-500/40 disabled:opacity-60"
-                    onClick={joinSessionKeyFromBackend}
-                    disabled={busy}
-                  >
-                    <SignalHigh className="w-4 h-4" />
-                    <span>Viewer: Join & Load Key</span>
-                  </button>
+                {/* Key distribution mode */}
+                <div className="grid grid-cols-2 gap-1 rounded-2xl border border-[#1f2937] bg-[#020617] p-1 text-xs">
+                  {[
+                    ["service", "Java key service"],
+                    ["e2e", "End-to-end (ECDH)"],
+                  ].map(([mode, label]) => (
+                    <button
+                      key={mode}
+                      className={`rounded-xl px-3 py-1.5 transition ${
+                        keyMode === mode
+                          ? "bg-emerald-500/15 text-emerald-300 border border-emerald-500/40"
+                          : "text-slate-400 hover:text-slate-200"
+                      }`}
+                      onClick={() => setKeyMode(mode)}
+                    >
+                      {label}
+                    </button>
+                  ))}
                 </div>
 
+                {/* Backend-driven key buttons */}
+                {keyMode === "service" && (
+                  <div className="flex flex-col sm:flex-row gap-2">
+                    <button
+                      className="flex-1 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2.5
+                                 bg-emerald-500 text-sm font-medium text-emerald-950 hover:bg-emerald-400 transition
+                                 shadow-md shadow-emerald-500/40 disabled:opacity-60"
+                      onClick={createSessionKeyFromBackend}
+                      disabled={busy}
+                    >
+                      <Lock className="w-4 h-4" />
+                      <span>Host: Get Key from Backend</span>
+                    </button>
+                    <button
+                      className="flex-1 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2.5
+                                 bg-sky-500 text-sm font-medium text-sky-950 hover:bg-sky-400 transition
+                                 shadow-md shadow-sky-500/40 disabled:opacity-60"
+                      onClick={joinSessionKeyFromBackend}
+                      disabled={busy}
+                    >
+                      <SignalHigh className="w-4 h-4" />
+                      <span>Viewer: Join & Load Key</span>
+                    </button>
+                  </div>
+                )}
+
+                {/* End-to-end key buttons */}
+                {keyMode === "e2e" && (
+                  <div className="flex flex-col sm:flex-row gap-2">
+                    <button
+                      className="flex-1 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2.5
+                                 bg-emerald-500 text-sm font-medium text-emerald-950 hover:bg-emerald-400 transition
+                                 shadow-md shadow-emerald-500/40 disabled:opacity-60"
+                      onClick={handleCreateE2eKey}
+                      disabled={busy}
+                    >
+                      <Lock className="w-4 h-4" />
+                      <span>Host: Create E2E Key</span>
+                    </button>
+                    <button
+                      className="flex-1 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2.5
+                                 bg-sky-500 text-sm font-medium text-sky-950 hover:bg-sky-400 transition
+                                 shadow-md shadow-sky-500/40 disabled:opacity-60"
+                      onClick={() => session.requestKey()}
+                      disabled={busy}
+                    >
+                      <SignalHigh className="w-4 h-4" />
+                      <span>Viewer: Request Key (ECDH)</span>
+                    </button>
+                  </div>
+                )}
+
                 {/* Local fallback + rotate */}
                 <div className="flex flex-col sm:flex-row gap-2">
                   <button
@@ -496,18 +935,53 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
                   </button>
                 </div>
 
+                {role === "host" && (
+                  <div className="flex flex-wrap items-center gap-2 text-[11px] text-slate-400">
+                    <span>Auto-rotate after</span>
+                    <input
+                      type="number"
+                      min="0"
+                      className="w-20 rounded-xl bg-[#020617] border border-[#1f2937] px-2 py-1 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+                      value={autoRotateFrames}
+                      onChange={(e) => setAutoRotateFrames(Math.max(0, Number(e.target.value) || 0))}
+                    />
+                    <span>frames or</span>
+                    <input
+                      type="number"
+                      min="0"
+                      className="w-16 rounded-xl bg-[#020617] border border-[#1f2937] px-2 py-1 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+                      value={autoRotateMinutes}
+                      onChange={(e) => setAutoRotateMinutes(Math.max(0, Number(e.target.value) || 0))}
+                    />
+                    <span>min (0 = off)</span>
+                  </div>
+                )}
+
                 {/* Key text + Load */}
                 <div>
                   <label className="block text-[11px] uppercase tracking-wide text-slate-400 mb-1">
                     AES Key (Base64)
                   </label>
                   <div className="flex gap-2">
-                    <input
-                      className="flex-1 rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-2 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
-                      placeholder="Paste or fetch AES key…"
-                      value={aesKeyB64}
-                      onChange={(e) => setAesKeyB64(e.target.value)}
-                    />
+                    <div className="relative flex-1">
+                      <input
+                        type={showKey ? "text" : "password"}
+                        autoComplete="off"
+                        spellCheck={false}
+                        className="w-full rounded-2xl bg-[#020617] border border-[#1f2937] pl-3 pr-9 py-2 text-xs font-mono focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+                        placeholder="Paste or fetch AES key…"
+                        value={aesKeyB64}
+                        onChange={(e) => setAesKeyB64(e.target.value)}
+                      />
+                      <button
+                        type="button"
+                        className="absolute right-2 top-1/2 -translate-y-1/2 p-1 rounded-lg text-slate-400 hover:text-slate-200"
+                        onClick={() => setShowKey((v) => !v)}
+                        title={showKey ? "Hide key" : "Show key"}
+                      >
+                        {showKey ? <EyeOff className="w-3.5 h-3.5" /> : <Eye className="w-3.5 h-3.5" />}
+                      </button>
+                    </div>
                     <button
                       className="inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2 bg-[#020617] text-sm text-slate-100 hover:bg-slate-800 border border-[#1f2937] transition"
                       onClick={handleLoadKey}
@@ -516,15 +990,122 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
                       Load
                     </button>
                   </div>
+                  <div className="mt-2 flex gap-2 text-xs">
+                    <input
+                      type="password"
+                      autoComplete="new-password"
+                      className="flex-1 min-w-0 rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+                      placeholder={`Key file passphrase (${KEYFILE_MIN_PASSPHRASE}+ characters)`}
+                      value={keyPassphrase}
+                      onChange={(e) => setKeyPassphrase(e.target.value)}
+                    />
+                    <button
+                      className="inline-flex items-center gap-1 rounded-2xl px-3 py-1.5 border border-[#1f2937] text-slate-300 hover:bg-[#111827] disabled:opacity-50"
+                      onClick={handleExportKeyFile}
+                      disabled={!aesKey || busy || keyPassphrase.length < KEYFILE_MIN_PASSPHRASE}
+                      title="Download the current key sealed with the passphrase"
+                    >
+                      <Download className="w-3 h-3" /> Export
+                    </button>
+                    <label
+                      className={`inline-flex items-center gap-1 rounded-2xl px-3 py-1.5 border border-[#1f2937] text-slate-300 hover:bg-[#111827] ${
+                        busy ? "opacity-50 pointer-events-none" : "cursor-pointer"
+                      }`}
+                      title="Load a key file with the passphrase it was exported with"
+                    >
+                      <Upload className="w-3 h-3" /> Import
+                      <input type="file" accept=".json,application/json" className="hidden" onChange={handleImportKeyFile} />
+                    </label>
+                  </div>
+                  <p className="mt-1 text-[11px] text-slate-500">
+                    Key files hold the key sealed with your passphrase (PBKDF2 + AES-GCM), plus the
+                    session ID, epoch and creation time; any change to them fails the import.
+                  </p>
+                </div>
+
+                {/* Safety numbers */}
+                <div>
+                  <label className="flex items-center gap-1.5 text-[11px] uppercase tracking-wide text-slate-400 mb-1">
+                    <Fingerprint className="w-3 h-3" />
+                    Safety Numbers
+                  </label>
+                  {Object.keys(peers).length === 0 ? (
+                    <p className="text-[11px] text-slate-500">
+                      No peers yet. Connect to exchange identity keys.
+                    </p>
+                  ) : (
+                    <div className="space-y-2">
+                      {Object.entries(peers).map(([id, p]) => {
+                        const isVerified = verified[id] === p.pub;
+                        const keyChanged = verified[id] === null;
+                        return (
+                          <div
+                            key={id}
+                            className="rounded-2xl border border-[#1f2937] bg-[#020617] px-3 py-2"
+                          >
+                            <div className="flex items-center justify-between gap-2">
+                              <span className="text-xs text-slate-200 truncate">
+                                {p.name || id.slice(0, 8)}
+                                {p.role && <span className="text-slate-500"> · {p.role}</span>}
+                              </span>
+                              {isVerified ? (
+                                <span className="inline-flex items-center gap-1 text-[11px] text-emerald-300">
+                                  <BadgeCheck className="w-3 h-3" /> Verified
+                                </span>
+                              ) : keyChanged ? (
+                                <span className="inline-flex items-center gap-1 text-[11px] text-[#ffd2d7]">
+                                  <TriangleAlert className="w-3 h-3" /> Key changed
+                                </span>
+                              ) : (
+                                <span className="text-[11px] text-slate-500">Unverified</span>
+                              )}
+                            </div>
+                            <div className="mt-1 font-mono text-xs tracking-wider text-slate-200">
+                              {aesKey ? safety[id] || "…" : "Load a key to compare"}
+                            </div>
+                            <div className="mt-2 flex gap-2">
+                              <button
+                                className="inline-flex items-center gap-1 rounded-xl px-2 py-1 text-[11px] border border-[#1f2937] hover:bg-slate-800 disabled:opacity-50"
+                                onClick={() => toggleQr(id)}
+                                disabled={!safety[id]}
+                              >
+                                <QrCode className="w-3 h-3" /> QR
+                              </button>
+                              <button
+                                className="inline-flex items-center gap-1 rounded-xl px-2 py-1 text-[11px] border border-[#1f2937] hover:bg-slate-800 disabled:opacity-50"
+                                onClick={() => toggleVerified(id)}
+                                disabled={!safety[id]}
+                              >
+                                <BadgeCheck className="w-3 h-3" />
+                                {isVerified ? "Unmark" : "Mark verified"}
+                              </button>
+                            </div>
+                            {qr?.id === id && (
+                              <img
+                                src={qr.url}
+                                alt={`Safety number QR for ${p.name || id.slice(0, 8)}`}
+                                className="mt-2 w-32 h-32 rounded-lg bg-white p-1"
+                              />
+                            )}
+                          </div>
+                        );
+                      })}
+                    </div>
+                  )}
+                  <p className="mt-1 text-[11px] text-slate-500">
+                    Compare digits (or scan the QR) with each peer out of band. They change with
+                    every key epoch.
+                  </p>
                 </div>
 
                 <div className="text-[11px] text-slate-500 space-y-1">
                   <p>
-                    • Use a unique <span className="font-mono">IV</span> per frame.
+                    • <span className="font-mono">IV = salt ⊕ counter</span>: a fresh per-sender
+                    salt per key, never reused.
                   </p>
                   <p>
-                    • Bind <span className="font-mono">kind:counter</span> into AAD for replay
-                    protection.
+                    • AAD binds <span className="font-mono">session:sender:kind:epoch:counter</span>;
+                    replayed or re-labelled frames are rejected.
                   </p>
                 </div>
               </div>
@@ -545,64 +1126,199 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
                   Encrypted Stream Preview
                 </h2>
                 <span className="text-[11px] text-slate-400">
-                  Media path will use the same AES key as secure chat.
+                  {mediaSource || remoteLive
+                    ? `VP8 over AES-GCM • ${mediaFrames} frames`
+                    : "Media path uses the same AES key as secure chat."}
                 </span>
               </div>
 
               <div className="relative mt-1 aspect-video rounded-2xl border border-[#1f2937] bg-gradient-to-br from-[#020617] via-[#020617] to-[#020617] flex items-center justify-center overflow-hidden">
                 <div className="pointer-events-none absolute inset-0 opacity-40 bg-[radial-gradient(circle_at_top,_rgba(129,140,248,0.4),_transparent_60%),radial-gradient(circle_at_bottom,_rgba(34,197,94,0.35),_transparent_60%)]" />
-                <div className="relative z-10 text-center flex flex-col items-center gap-2 px-4">
-                  <VideoOff className="w-10 h-10 text-slate-400" />
-                  <p className="text-sm text-slate-200">
-                    When your C++ backend is ready, push encrypted H.264/AAC fragments over
-                    WebSocket and decrypt them here.
-                  </p>
-                  <p className="text-xs text-slate-400">
-                    For now, this card proves your front-end session and crypto flow are wired up.
-                  </p>
-                </div>
+                {/* Host sees its local capture; viewers see decrypted frames on the canvas. */}
+                <video
+                  ref={previewRef}
+                  autoPlay
+                  muted
+                  playsInline
+                  className={`absolute inset-0 w-full h-full object-contain bg-black ${
+                    role === "host" && mediaSource ? "" : "hidden"
+                  }`}
+                />
+                <canvas
+                  ref={canvasRef}
+                  className={`absolute inset-0 w-full h-full object-contain bg-black ${
+                    role === "viewer" && remoteLive ? "" : "hidden"
+                  }`}
+                />
+                {!(role === "host" && mediaSource) && !(role === "viewer" && remoteLive) && (
+                  <div className="relative z-10 text-center flex flex-col items-center gap-2 px-4">
+                    <VideoOff className="w-10 h-10 text-slate-400" />
+                    <p className="text-sm text-slate-200">
+                      {role === "host"
+                        ? "Start your camera or share your screen to stream encrypted VP8 frames."
+                        : "Waiting for the host's encrypted stream…"}
+                    </p>
+                    <p className="text-xs text-slate-400">
+                      Every encoded chunk is sealed with AES-GCM in the browser; the relay only
+                      forwards ciphertext.
+                    </p>
+                  </div>
+                )}
+                {(mediaSource || remoteLive) && (
+                  <span className="absolute top-3 left-3 z-10 inline-flex items-center gap-1.5 rounded-full bg-[#E50914] px-2 py-0.5 text-[11px] font-semibold text-white">
+                    <span className="h-1.5 w-1.5 rounded-full bg-white animate-pulse" />
+                    LIVE
+                  </span>
+                )}
               </div>
-            </div>
 
-            {/* Chat + notes */}
-            <div className="grid md:grid-cols-2 gap-4">
-              {/* Secure Chat */}
-              <div className="rounded-3xl border border-[#1f2937] bg-[#0b1120]/90 backdrop-blur-xl shadow-lg shadow-black/70 p-4">
-                <h3 className="text-sm font-semibold flex items-center gap-2 mb-2">
-                  <Send className="w-4 h-4 text-sky-400" />
-                  Secure Chat (AES path)
-                </h3>
+              {role === "host" && (
+                <div className="mt-3 flex flex-col sm:flex-row gap-2 text-sm">
+                  <button
+                    className="flex-1 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2
+                               bg-indigo-500 text-white hover:bg-indigo-400 transition disabled:opacity-60"
+                    onClick={() => startMedia("camera")}
+                    disabled={mediaSource === "camera"}
+                  >
+                    <Video className="w-4 h-4" />
+                    <span>Start Camera</span>
+                  </button>
+                  <button
+                    className="flex-1 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2
+                               bg-[#020617] text-slate-100 hover:bg-slate-800 border border-[#1f2937] transition disabled:opacity-60"
+                    onClick={() => startMedia("screen")}
+                    disabled={mediaSource === "screen"}
+                  >
+                    <Monitor className="w-4 h-4" />
+                    <span>Share Screen</span>
+                  </button>
+                  <button
+                    className="sm:w-28 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2
+                               bg-[#020617] text-slate-100 hover:bg-slate-800 border border-[#1f2937] transition disabled:opacity-60"
+                    onClick={stopMedia}
+                    disabled={!mediaSource}
+                  >
+                    <Square className="w-4 h-4" />
+                    <span>Stop</span>
+                  </button>
+                  <button
+                    className={`sm:w-28 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2 border transition disabled:opacity-60 ${
+                      audio.micOn
+                        ? "bg-emerald-500/10 text-emerald-300 border-emerald-400/50"
+                        : "bg-[#020617] text-slate-100 hover:bg-slate-800 border-[#1f2937]"
+                    }`}
+                    onClick={() => (audio.micOn ? audio.stopMic() : audio.startMic())}
+                    disabled={!aesKey}
+                    title="Send your microphone (Opus over AES-GCM)"
+                  >
+                    {audio.micOn ? <Mic className="w-4 h-4" /> : <MicOff className="w-4 h-4" />}
+                    <span>Mic</span>
+                  </button>
+                </div>
+              )}
 
-                <p className="text-xs text-slate-400 mb-3">
-                  Messages are encrypted client-side with AES-GCM before being sent over WebSocket.
-                  This is your simplest smoke test before streaming media.
-                </p>
+              {role === "viewer" && (
+                <div className="mt-3 flex items-center gap-2 text-xs">
+                  <SignalHigh className="w-4 h-4 text-slate-400 shrink-0" />
+                  <select
+                    value={quality.mode}
+                    onChange={(e) =>
+                      quality.setMode(e.target.value === QUALITY_AUTO ? QUALITY_AUTO : Number(e.target.value))
+                    }
+                    className="rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-1.5 text-xs focus:outline-none focus:ring-2 focus:ring-indigo-500/70"
+                  >
+                    <option value={QUALITY_AUTO}>Auto quality</option>
+                    {QUALITY_LAYERS.map((l) => (
+                      <option key={l.id} value={l.id}>
+                        {l.name} ({l.bitrate / 1000} kbps)
+                      </option>
+                    ))}
+                  </select>
+                  <span className="text-slate-500 truncate">
+                    Receiving {QUALITY_LAYERS.find((l) => l.id === quality.layer)?.name}
+                    {quality.mode === QUALITY_AUTO && quality.reason && ` · ${quality.reason}`}
+                  </span>
+                </div>
+              )}
 
-                <div className="space-y-2">
+              {connected && (
+                <div className="mt-2 flex flex-wrap items-center gap-2 text-xs">
+                  <button
+                    className="p-1.5 rounded-lg text-slate-300 hover:bg-slate-800"
+                    onClick={() => audio.setMuted(!audio.muted)}
+                    title={audio.muted ? "Unmute" : "Mute"}
+                  >
+                    {audio.muted ? <VolumeX className="w-4 h-4" /> : <Volume2 className="w-4 h-4" />}
+                  </button>
                   <input
-                    className="w-full rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-2.5 text-sm
-                               focus:outline-none focus:ring-2 focus:ring-sky-500/70"
-                    placeholder="Type a secure message…"
-                    value={chatInput}
-                    onChange={(e) => setChatInput(e.target.value)}
+                    type="range"
+                    min="0"
+                    max="1"
+                    step="0.05"
+                    value={audio.volume}
+                    onChange={(e) => audio.setVolume(Number(e.target.value))}
+                    className="w-24 accent-indigo-500"
+                    aria-label="Volume"
                   />
-                  <div className="flex justify-end">
+                  {audio.blocked && (
                     <button
-                      className="w-28 sm:w-32 inline-flex items-center justify-center gap-2 rounded-2xl px-3 py-2.5
-                                 bg-sky-500 text-sm font-medium text-sky-950 hover:bg-sky-400 transition
-                                 shadow-md shadow-sky-500/40"
-                      onClick={sendSecureChat}
+                      className="rounded-full px-2 py-0.5 text-[11px] bg-amber-500/10 text-amber-300 border border-amber-500/40"
+                      onClick={audio.resume}
                     >
-                      <Send className="w-4 h-4" />
-                      <span>Send</span>
+                      Enable audio
                     </button>
-                  </div>
+                  )}
+                  {role === "viewer" &&
+                    (audio.canTalk ? (
+                      <button
+                        className={`inline-flex items-center gap-1.5 rounded-2xl px-3 py-1.5 border select-none transition ${
+                          audio.talking
+                            ? "bg-emerald-500/20 text-emerald-200 border-emerald-400/60"
+                            : "bg-[#020617] text-slate-100 border-[#1f2937] hover:bg-slate-800"
+                        }`}
+                        onPointerDown={audio.pressTalk}
+                        onPointerUp={audio.releaseTalk}
+                        onPointerLeave={audio.releaseTalk}
+                        disabled={!aesKey}
+                      >
+                        <Mic className="w-3.5 h-3.5" />
+                        {audio.talking ? "Talking…" : "Hold to talk"}
+                      </button>
+                    ) : (
+                      <button
+                        className={`inline-flex items-center gap-1.5 rounded-2xl px-3 py-1.5 border transition ${
+                          audio.handRaised
+                            ? "bg-amber-500/10 text-amber-300 border-amber-500/40"
+                            : "bg-[#020617] text-slate-300 border-[#1f2937] hover:bg-slate-800"
+                        }`}
+                        onClick={() => audio.raiseHand(!audio.handRaised)}
+                        title="Ask the host to let you talk"
+                      >
+                        <Hand className="w-3.5 h-3.5" />
+                        {audio.handRaised ? "Lower hand" : "Raise hand"}
+                      </button>
+                    ))}
+                  {audio.speakers.length > 0 && (
+                    <span className="text-emerald-300 truncate">
+                      🔊{" "}
+                      {audio.speakers
+                        .map((id) => roster[id]?.name || id.slice(0, 8))
+                        .join(", ")}
+                    </span>
+                  )}
                 </div>
+              )}
+            </div>
 
-                <p className="mt-2 text-[11px] text-slate-500">
-                  Encrypted chat shares the same AES key and IV/AAD rules as your media frames.
-                </p>
-              </div>
+            {/* Chat + notes */}
+            <div className="grid md:grid-cols-2 gap-4">
+              {/* Secure Chat */}
+              <SecureChatPanel
+                messages={chat.messages}
+                onSend={chat.send}
+                ready={connected && !!aesKey}
+                hint={connected ? "Load or generate an AES key first" : "Connect to chat"}
+              />
 
               {/* Architecture notes */}
               <div className="rounded-3xl border border-[#1f2937] bg-[#0b1120]/90 backdrop-blur-xl shadow-lg shadow-black/70 p-4 text-sm">
@@ -628,12 +1344,48 @@ export default function SecureStreamingApp({ username, token, onLogout }) {
               </div>
             </div>
 
+            {/* Encrypted files */}
+            <SecureFilePanel
+              transfers={files.transfers}
+              onShare={files.share}
+              onCancel={files.cancel}
+              canShare={isSessionHost}
+              ready={connected && !!aesKey}
+            />
+
+            {/* Stream health */}
+            <StreamHealthPanel
+              samples={health.samples}
+              reports={health.reports}
+              isHost={isSessionHost}
+              reporting={health.reporting}
+              onReportingChange={health.setReporting}
+            />
+
+            {/* Recording & playback */}
+            <RecordingPanel
+              session={session}
+              canRecord={isSessionHost && !!aesKey}
+              currentKey={{ epoch: keyEpoch, b64: aesKeyB64 }}
+            />
+
             {/* Event log */}
             <div className="rounded-3xl border border-[#1f2937] bg-[#020617]/95 backdrop-blur-xl shadow-lg shadow-black/80 p-4">
-              <h3 className="text-sm font-semibold mb-2 flex items-center gap-2">
-                <span className="h-2 w-2 rounded-full bg-emerald-400 animate-pulse" />
-                Event Log
-              </h3>
+              <div className="mb-2 flex items-center justify-between">
+                <h3 className="text-sm font-semibold flex items-center gap-2">
+                  <span className="h-2 w-2 rounded-full bg-emerald-400 animate-pulse" />
+                  Event Log
+                </h3>
+                <span
+                  className={`text-[11px] px-2 py-0.5 rounded-full border ${
+                    rejected.replay + rejected.auth > 0
+                      ? "border-[#E50914]/60 text-[#ffd2d7] bg-[#200306]"
+                      : "border-[#1f2937] text-slate-400"
+                  }`}
+                >
+                  Rejected frames: {rejected.replay} replay · {rejected.auth} auth
+                </span>
+              </div>
               <div className="h-44 overflow-auto rounded-2xl bg-[#020617] border border-[#1f2937] px-3 py-2 text-[11px] font-mono text-slate-300">
                 {log.length === 0 && (
                   <div className="text-slate-500 italic">
@@ -0,0 +1,177 @@
+// src/components/StreamHealthPanel.jsx
+import React from "react";
+import { Activity } from "lucide-react";
+
+const CHART_W = 160;
+const CHART_H = 36;
+
+// One polyline per series; null samples break the line.
+function Sparkline({ samples, series }) {
+  const values = samples.flatMap((s) => series.map(({ key }) => s[key])).filter((v) => v != null);
+  const max = Math.max(1, ...values);
+  const step = CHART_W / Math.max(1, samples.length - 1);
+
+  return (
+    <svg viewBox={`0 0 ${CHART_W} ${CHART_H}`} className="w-full h-9" preserveAspectRatio="none">
+      {series.map(({ key, color }) => {
+        const segments = [[]];
+        samples.forEach((s, i) => {
+          if (s[key] == null) {
+            if (segments[segments.length - 1].length) segments.push([]);
+            return;
+          }
+          const y = CHART_H - 2 - (s[key] / max) * (CHART_H - 4);
+          segments[segments.length - 1].push(`${(i * step).toFixed(1)},${y.toFixed(1)}`);
+        });
+        return segments
+          .filter((points) => points.length)
+          .map((points, i) => (
+            <polyline
+              key={`${key}-${i}`}
+              points={points.length === 1 ? `${points[0]} ${points[0]}` : points.join(" ")}
+              fill="none"
+              stroke={color}
+              strokeWidth="1.5"
+              vectorEffect="non-scaling-stroke"
+            />
+          ));
+      })}
+    </svg>
+  );
+}
+
+const show = (v, unit) => (v == null ? "–" : `${v}${unit}`);
+
+function Metric({ label, samples, series, value }) {
+  return (
+    <div className="rounded-2xl border border-[#1f2937] bg-[#020617] p-2.5">
+      <div className="flex items-baseline justify-between text-[11px]">
+        <span className="text-slate-400">{label}</span>
+        <span className="font-mono text-slate-100">{value}</span>
+      </div>
+      <Sparkline samples={samples} series={series} />
+    </div>
+  );
+}
+
+export function StreamHealthPanel({ samples, reports, isHost, reporting, onReportingChange }) {
+  const last = samples[samples.length - 1] || {};
+  const viewers = Object.entries(reports);
+
+  return (
+    <div className="rounded-3xl border border-[#1f2937] bg-[#0b1120]/90 backdrop-blur-xl shadow-lg shadow-black/70 p-4 space-y-3">
+      <div className="flex items-center justify-between">
+        <h3 className="text-sm font-semibold flex items-center gap-2">
+          <Activity className="w-4 h-4 text-emerald-400" />
+          Stream Health
+        </h3>
+        {!isHost && (
+          <label className="inline-flex items-center gap-2 text-[11px] text-slate-400 cursor-pointer">
+            <input
+              type="checkbox"
+              className="accent-emerald-500"
+              checked={reporting}
+              onChange={(e) => onReportingChange(e.target.checked)}
+            />
+            Share with host
+          </label>
+        )}
+      </div>
+
+      <p className="text-xs text-slate-400">
+        {isHost
+          ? "What you send, plus the last report of every viewer that shares its stats."
+          : "Capture-to-render latency uses the host's timestamp inside each encrypted frame, on the relay's clock."}
+      </p>
+
+      <div className="grid grid-cols-2 gap-2">
+        {!isHost && (
+          <>
+            <Metric
+              label="Latency"
+              value={show(last.latencyMs, " ms")}
+              samples={samples}
+              series={[{ key: "latencyMs", color: "#38bdf8" }]}
+            />
+            <Metric
+              label="Jitter"
+              value={show(last.jitterMs, " ms")}
+              samples={samples}
+              series={[{ key: "jitterMs", color: "#a78bfa" }]}
+            />
+            <Metric
+              label="Frame loss"
+              value={show(last.lossPct, " %")}
+              samples={samples}
+              series={[{ key: "lossPct", color: "#f87171" }]}
+            />
+            <Metric
+              label="Decrypt p50 / p95"
+              value={`${show(last.decP50, "")} / ${show(last.decP95, " ms")}`}
+              samples={samples}
+              series={[
+                { key: "decP50", color: "#34d399" },
+                { key: "decP95", color: "#fbbf24" },
+              ]}
+            />
+          </>
+        )}
+        <Metric
+          label={isHost ? "Sent" : "Received"}
+          value={show(last.kbps, " kbps")}
+          samples={samples}
+          series={[{ key: "kbps", color: "#e5e7eb" }]}
+        />
+        <Metric
+          label="Frame rate"
+          value={show(last.fps, " fps")}
+          samples={samples}
+          series={[{ key: "fps", color: "#94a3b8" }]}
+        />
+      </div>
+
+      {isHost && (
+        <div className="rounded-2xl border border-[#1f2937] bg-[#020617] p-2.5 text-[11px]">
+          {viewers.length === 0 ? (
+            <p className="text-slate-500 italic">No viewer is sharing stats.</p>
+          ) : (
+            <table className="w-full font-mono">
+              <thead className="text-slate-500">
+                <tr>
+                  <th className="text-left font-normal">Viewer</th>
+                  <th className="text-right font-normal">Latency</th>
+                  <th className="text-right font-normal">Jitter</th>
+                  <th className="text-right font-normal">Loss</th>
+                  <th className="text-right font-normal">Dec p95</th>
+                  <th className="text-right font-normal">kbps</th>
+                </tr>
+              </thead>
+              <tbody className="text-slate-200">
+                {viewers.map(([id, r]) => (
+                  <tr key={id}>
+                    <td className="truncate max-w-[6rem] font-sans">{r.name || id.slice(0, 8)}</td>
+                    <td className="text-right">{show(r.stats.latencyMs, "")}</td>
+                    <td className="text-right">{show(r.stats.jitterMs, "")}</td>
+                    <td
+                      className={`text-right ${r.stats.lossPct > 1 ? "text-[#ff8a94]" : ""}`}
+                    >
+                      {show(r.stats.lossPct, "%")}
+                    </td>
+                    <td className="text-right">{show(r.stats.decP95, "")}</td>
+                    <td className="text-right">{show(r.stats.kbps, "")}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {!isHost && (
+        <p className="text-[11px] text-slate-500">
+          Sharing sends these numbers (no content) to the host through the relay every 5 s.
+        </p>
+      )}
+    </div>
+  );
+}
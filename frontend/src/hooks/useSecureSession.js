@@ -0,0 +1,192 @@
+// src/hooks/useSecureSession.js
+// React bindings for SecureSession (src/lib/session.js): one session per
+// mounted component, with the parts the UI renders mirrored into state.
+
+import { useEffect, useState } from "react";
+import { SecureSession } from "../lib/session";
+import { SecureChat } from "../lib/chat";
+import { SecureFileShare } from "../lib/files";
+import { StreamHealth } from "../lib/health";
+import { QUALITY_AUTO, QualityController } from "../lib/quality";
+import { SecureAudio } from "../lib/audio";
+
+const PING_MS = 3000;
+
+// options: everything SecureSession accepts. relayUrl, token, name, role,
+// keyMode, policy and the auto-rotate thresholds are re-applied when they change.
+export function useSecureSession(options) {
+  const [session] = useState(() => new SecureSession(options));
+  const [link, setLink] = useState(session.link);
+  const [current, setCurrent] = useState({ key: null, epoch: 0 });
+  const [roster, setRoster] = useState({
+    hostId: null,
+    state: "waiting",
+    endsAt: null,
+    locked: false,
+    policy: "strict",
+    peers: {},
+  });
+  const [ended, setEnded] = useState(null); // { sessionId, reason } once the relay ends it
+  const [peers, setPeers] = useState({});
+  const [rejected, setRejected] = useState(session.rejected);
+
+  const { relayUrl, token, name, role, keyMode, policy, autoRotateFrames, autoRotateMinutes } = options;
+  useEffect(() => {
+    session.configure({ relayUrl, token, name, role, keyMode, policy, autoRotateFrames, autoRotateMinutes });
+  }, [session, relayUrl, token, name, role, keyMode, policy, autoRotateFrames, autoRotateMinutes]);
+
+  useEffect(() => {
+    const offs = [
+      session.on("status", setLink),
+      session.on("key", ({ key, epoch }) => setCurrent({ key, epoch })),
+      session.on("roster", setRoster),
+      session.on("identity", () => setPeers(Object.fromEntries(session.identities))),
+      session.on("rejected", () => setRejected(session.rejected)),
+      session.on("ended", setEnded),
+      session.on("open", () => setEnded(null)),
+    ];
+    return () => {
+      offs.forEach((off) => off());
+      // Unmount (logout included): stop reconnecting and drop the socket.
+      session.close();
+    };
+  }, [session]);
+
+  return {
+    session,
+    link,
+    connected: link.status === "open",
+    key: current.key,
+    epoch: current.epoch,
+    roster: roster.peers,
+    sessionInfo: {
+      hostId: roster.hostId,
+      state: roster.state,
+      endsAt: roster.endsAt,
+      locked: roster.locked,
+      policy: roster.policy,
+    },
+    ended,
+    peers,
+    rejected,
+  };
+}
+
+// Round trip of a "metric" control message through the relay. Each pong also
+// refines the session's relay clock offset, so the first ping goes out on open.
+export function useLatencyMeter(session) {
+  const [rtt, setRtt] = useState(null);
+
+  useEffect(() => {
+    const offs = [
+      session.on("pong", ({ rtt }) => rtt != null && setRtt(rtt)),
+      session.on("open", () => session.ping()),
+    ];
+    const id = setInterval(() => session.ping(), PING_MS);
+    return () => {
+      offs.forEach((off) => off());
+      clearInterval(id);
+    };
+  }, [session]);
+
+  return rtt;
+}
+
+// Chat timeline for a session; history is capped by SecureChat, not the event log.
+export function useSecureChat(session, options) {
+  const [chat] = useState(() => new SecureChat(session, options));
+  const [messages, setMessages] = useState(chat.messages);
+
+  useEffect(() => {
+    chat.attach();
+    const off = chat.subscribe(setMessages);
+    return () => {
+      off();
+      chat.detach();
+    };
+  }, [chat]);
+
+  return { messages, send: (text) => chat.send(text) };
+}
+
+// Encrypted file transfers; object URLs are released on unmount.
+export function useSecureFiles(session, options) {
+  const [files] = useState(() => new SecureFileShare(session, options));
+  const [transfers, setTransfers] = useState(files.transfers);
+
+  useEffect(() => {
+    files.attach();
+    const off = files.subscribe(setTransfers);
+    return () => {
+      off();
+      files.detach();
+    };
+  }, [files]);
+
+  return { transfers, share: (file) => files.share(file), cancel: (id) => files.cancel(id) };
+}
+
+// Stream health samples (and, for the host, viewer reports) once a second.
+export function useStreamHealth(session) {
+  const [health] = useState(() => new StreamHealth(session));
+  const [state, setState] = useState({ samples: [], reports: {} });
+  const [reporting, setReporting] = useState(false);
+
+  useEffect(() => {
+    health.attach();
+    const off = health.subscribe(setState);
+    return () => {
+      off();
+      health.detach();
+    };
+  }, [health]);
+
+  useEffect(() => health.setReporting(reporting), [health, reporting]);
+
+  return { health, ...state, reporting, setReporting };
+}
+
+// Viewer quality layer: "auto" (adaptive) or a fixed layer id.
+export function useQualityLayer(session, health) {
+  const [quality] = useState(() => new QualityController(session, health));
+  const [state, setState] = useState({ mode: QUALITY_AUTO, layer: session.layer, reason: null });
+
+  useEffect(() => {
+    quality.attach();
+    const off = quality.subscribe(setState);
+    return () => {
+      off();
+      quality.detach();
+    };
+  }, [quality]);
+
+  return { quality, ...state, setMode: (mode) => quality.setMode(mode) };
+}
+
+// Encrypted audio: playback controls, the host's microphone and viewer push-to-talk.
+export function useSecureAudio(session, health) {
+  const [audio] = useState(() => new SecureAudio(session, health));
+  const [state, setState] = useState(audio.state);
+
+  useEffect(() => {
+    audio.attach();
+    const off = audio.subscribe(setState);
+    return () => {
+      off();
+      audio.detach();
+    };
+  }, [audio]);
+
+  return {
+    audio,
+    ...state,
+    setVolume: (v) => audio.setVolume(v),
+    setMuted: (m) => audio.setMuted(m),
+    resume: () => audio.resume(),
+    startMic: () => audio.startMic(),
+    stopMic: () => audio.stopMic(),
+    raiseHand: (raised) => audio.raiseHand(raised),
+    pressTalk: () => audio.pressTalk(),
+    releaseTalk: () => audio.releaseTalk(),
+  };
+}
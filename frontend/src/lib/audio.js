@@ -0,0 +1,273 @@
+// src/lib/audio.js
+// Encrypted audio on top of SecureSession. The host streams its microphone;
+// a viewer can talk back (push-to-talk) once the host allows it. Opus packets
+// (media.js) travel as "audio" frames sealed with the session key, with their
+// own sequence inside the packed chunk.
+//
+// Talking back: the viewer raises its hand ({ type: "talk-request", raised }),
+// the host answers with an "allow-talk" / "revoke-talk" moderation, and the
+// roster carries `hand` and `talk` for every peer. The relay drops audio
+// from viewers without `talk`.
+//
+// Every sender gets its own player into one gain node (volume, mute). The
+// host's audio is held back by the video latency this viewer measures
+// (health.js), so sound and picture line up.
+
+import { captureMicrophone, createAudioPlayer, hasAudioCodecs, startAudioEncoder } from "./media.js";
+
+const SPEAKING_MS = 600; // a sender counts as speaking this long after a packet
+
+export class SecureAudio {
+  constructor(session, health) {
+    this.session = session;
+    this.health = health;
+    this.volume = 1;
+    this.muted = false;
+    this.micOn = false; // host: microphone on air
+    this.talking = false; // viewer: push-to-talk held
+    this.handRaised = false;
+    this.blocked = false; // playback waits for a click (autoplay policy)
+    this.speakers = []; // clientIds heard in the last SPEAKING_MS
+    this.heardAt = new Map(); // clientId -> last packet (ms)
+    this.ctx = null;
+    this.gain = null;
+    this.players = new Map(); // sender clientId -> audio player
+    this.mic = null; // MediaStream, kept while we may send
+    this.encoder = null;
+    this.listeners = new Set();
+    this.offs = [];
+    this.timer = null;
+  }
+
+  attach() {
+    if (this.offs.length) return;
+    const s = this.session;
+    this.offs = [
+      s.onFrame((f) => f.kind === "audio" && this.onAudio(f)),
+      s.on("roster", () => this.onRoster()),
+      s.on("ended", () => this.stopSending()),
+    ];
+    this.timer = setInterval(() => this.updateSpeakers(), SPEAKING_MS / 2);
+  }
+
+  detach() {
+    this.offs.forEach((off) => off());
+    this.offs = [];
+    clearInterval(this.timer);
+    this.timer = null;
+    this.stopSending();
+    this.players.forEach((p) => p.close());
+    this.players.clear();
+    this.ctx?.close().catch(() => {});
+    this.ctx = null;
+  }
+
+  // fn(state) after every change, see `state`
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  get state() {
+    return {
+      volume: this.volume,
+      muted: this.muted,
+      micOn: this.micOn,
+      talking: this.talking,
+      handRaised: this.handRaised,
+      canTalk: this.canTalk,
+      blocked: this.blocked,
+      speakers: this.speakers,
+    };
+  }
+
+  changed() {
+    const state = this.state;
+    this.listeners.forEach((fn) => fn(state));
+  }
+
+  get canTalk() {
+    const s = this.session;
+    return s.role === "viewer" && !!s.roster.get(s.clientId)?.talk;
+  }
+
+  // ---- Playback ----
+  // The context is made on first use; browsers keep it suspended until the
+  // user interacts, so volume and mute controls also resume it.
+  output() {
+    if (!this.ctx) {
+      this.ctx = new AudioContext();
+      this.gain = this.ctx.createGain();
+      this.gain.connect(this.ctx.destination);
+      this.applyGain();
+    }
+    return this.gain;
+  }
+
+  resume() {
+    this.output();
+    this.ctx.resume().then(() => {
+      this.blocked = false;
+      this.changed();
+    }, () => {});
+  }
+
+  setVolume(volume) {
+    this.volume = Math.min(1, Math.max(0, volume));
+    this.applyGain();
+    this.resume();
+  }
+
+  setMuted(muted) {
+    this.muted = !!muted;
+    this.applyGain();
+    this.resume();
+  }
+
+  applyGain() {
+    if (this.gain) this.gain.gain.value = this.muted ? 0 : this.volume;
+    this.changed();
+  }
+
+  onAudio(f) {
+    if (!hasAudioCodecs()) return;
+    const output = this.output();
+    if (this.ctx.state === "suspended" && !this.blocked) {
+      this.blocked = true;
+      this.changed();
+    }
+    let player = this.players.get(f.sender);
+    if (!player) {
+      const s = this.session;
+      const fromHost = f.sender === s.hostId;
+      player = createAudioPlayer(this.ctx, output, {
+        clock: () => (s.clockSynced ? s.relayNow() : NaN),
+        delay: () => (fromHost ? this.health?.latest?.latencyMs ?? 0 : 0),
+        onError: (err) => {
+          this.players.delete(f.sender);
+          s.log(`Audio decode error: ${err?.message || err}`);
+        },
+      });
+      this.players.set(f.sender, player);
+    }
+    try {
+      player.push(f.data);
+    } catch (err) {
+      this.session.log(`Audio decode error: ${err?.message || err}`);
+    }
+    const known = this.heardAt.has(f.sender);
+    this.heardAt.set(f.sender, Date.now());
+    if (!known) this.updateSpeakers();
+  }
+
+  updateSpeakers() {
+    const cutoff = Date.now() - SPEAKING_MS;
+    for (const [id, at] of this.heardAt) if (at < cutoff) this.heardAt.delete(id);
+    const speakers = [...this.heardAt.keys()];
+    if (speakers.join() === this.speakers.join()) return;
+    this.speakers = speakers;
+    this.changed();
+  }
+
+  // ---- Sending ----
+  // Host: the microphone stays on air until stopped.
+  async startMic() {
+    if (this.micOn) return;
+    this.micOn = true;
+    this.changed();
+    if (!(await this.startEncoder())) this.stopMic();
+    else if (this.micOn) this.session.log("🎙️ Microphone on (Opus over AES-GCM).");
+  }
+
+  stopMic() {
+    if (!this.micOn) return;
+    this.stopSending();
+    this.session.log("🎙️ Microphone off.");
+  }
+
+  // Viewer: ask the host for (or give up) the right to talk.
+  raiseHand(raised) {
+    if (!this.session.sendControl({ type: "talk-request", raised: !!raised })) return;
+    this.handRaised = !!raised;
+    this.changed();
+  }
+
+  // Viewer: push-to-talk. The microphone is opened on the first press and
+  // kept until the host revokes the right to talk.
+  async pressTalk() {
+    if (this.talking || !this.canTalk) return;
+    this.talking = true;
+    this.changed();
+    if (!(await this.startEncoder())) this.releaseTalk();
+  }
+
+  releaseTalk() {
+    if (!this.talking) return;
+    this.talking = false;
+    this.encoder?.stop();
+    this.encoder = null;
+    this.changed();
+  }
+
+  // Resolves false when the microphone or codec is not available. Stopping
+  // while the permission prompt is open does not start sending.
+  async startEncoder() {
+    const s = this.session;
+    if (!hasAudioCodecs()) {
+      s.log("❌ This browser does not support WebCodecs audio.");
+      return false;
+    }
+    if (!this.mic) {
+      let mic;
+      try {
+        mic = await captureMicrophone();
+      } catch (err) {
+        s.log(`❌ Could not open the microphone: ${err?.message || err}`);
+        return false;
+      }
+      if (this.mic) mic.getTracks().forEach((t) => t.stop());
+      else this.mic = mic;
+    }
+    if (!(this.micOn || this.talking)) {
+      if (!this.canTalk) this.releaseMic();
+      return true;
+    }
+    if (this.encoder) return true;
+    this.encoder = startAudioEncoder(this.mic, {
+      onChunk: (bytes) => s.send("audio", bytes).catch((err) => s.log(`Audio encrypt error: ${err?.message || err}`)),
+      onError: (err) => s.log(`Audio encode error: ${err?.message || err}`),
+      clock: () => s.relayNow(),
+    });
+    return true;
+  }
+
+  releaseMic() {
+    this.mic?.getTracks().forEach((t) => t.stop());
+    this.mic = null;
+  }
+
+  stopSending() {
+    this.encoder?.stop();
+    this.encoder = null;
+    this.releaseMic();
+    this.micOn = false;
+    this.talking = false;
+    this.changed();
+  }
+
+  // The relay clears a raised hand once the host answers; a revoked viewer
+  // stops sending and releases the microphone.
+  onRoster() {
+    const me = this.session.roster.get(this.session.clientId);
+    const hand = !!me?.hand;
+    const revoked = this.session.role === "viewer" && (this.mic || this.talking) && !this.canTalk;
+    if (revoked) {
+      this.stopSending();
+      this.session.log("🔇 The host turned off your microphone.");
+    }
+    if (hand !== this.handRaised || revoked) {
+      this.handRaised = hand;
+      this.changed();
+    }
+  }
+}
@@ -0,0 +1,53 @@
+// src/lib/auth.js
+// Login against the Java backend and keep the signed session token across
+// reloads. The token (HS256 JWT with name + role) goes to the key service as
+// a Bearer header and to the relay as ?token= on connect.
+
+export const BACKEND_URL = "http://localhost:8081";
+const STORAGE_KEY = "secure-stream.session";
+
+// Reads the claims without verifying them; the servers do the verifying.
+export function decodeToken(token) {
+  try {
+    const payload = token.split(".")[1].replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(atob(payload.padEnd(Math.ceil(payload.length / 4) * 4, "=")));
+  } catch {
+    return null;
+  }
+}
+
+export function authHeaders(token) {
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
+// Resolves to { name, role, token } and remembers it for the next page load.
+export async function login({ name, role, password }) {
+  const res = await fetch(`${BACKEND_URL}/api/login`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ name, role, password }),
+  });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok || !data.token) throw new Error(data.error || `Login failed (${res.status})`);
+
+  const session = { name: data.name, role: data.role, token: data.token };
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+  return session;
+}
+
+// Stored session, or null if there is none or its token has expired.
+export function loadSession() {
+  try {
+    const session = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    const claims = session && decodeToken(session.token);
+    if (claims && claims.exp * 1000 > Date.now()) return session;
+  } catch {
+    // fall through and clear it
+  }
+  clearSession();
+  return null;
+}
+
+export function clearSession() {
+  localStorage.removeItem(STORAGE_KEY);
+}
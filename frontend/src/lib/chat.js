@@ -0,0 +1,207 @@
+// src/lib/chat.js
+// Secure chat on top of SecureSession. Everything a chat line shows (sender
+// name, role, time, text) travels inside the encrypted "chat" frame, so the
+// relay only ever sees sizes. Any key holder can write any name and role
+// into a payload, so receivers show the relay's roster entry for the frame's
+// sender and keep the payload's claim only when it disagrees. Payload (UTF-8 JSON):
+//
+//   { v: 1, t: "msg", id, name, role, ts, text }
+//   { v: 1, t: "ack", ids }                        receiver decrypted these
+//
+// Acks are encrypted too, so "delivered" means a key holder opened it. Their
+// frames carry FRAME_FLAG.RECEIPT, so an undecryptable ack is not mistaken
+// for a lost message. A receiver that cannot decrypt a chat message has no id
+// to quote; it reports the frame counter from the header in a plain
+// { type: "chat-failed", from, to, counter } control message instead.
+
+import { FRAME_FLAG } from "./frame.js";
+
+export const CHAT_VERSION = 1;
+export const MAX_CHAT_CHARS = 2000;
+export const CHAT_HISTORY_LIMIT = 200;
+const MAX_NAME_CHARS = 64;
+
+export function encodeChat(payload) {
+  return new TextEncoder().encode(JSON.stringify({ v: CHAT_VERSION, ...payload }));
+}
+
+// Parsed payload, or null for anything this version does not understand.
+export function decodeChat(bytes) {
+  let p;
+  try {
+    p = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    return null;
+  }
+  if (!p || p.v !== CHAT_VERSION) return null;
+  if (p.t === "ack") {
+    return Array.isArray(p.ids) ? { t: "ack", ids: p.ids.filter((id) => typeof id === "string") } : null;
+  }
+  if (p.t !== "msg" || typeof p.id !== "string" || typeof p.text !== "string") return null;
+  return {
+    t: "msg",
+    id: p.id,
+    name: typeof p.name === "string" ? p.name.slice(0, MAX_NAME_CHARS) : null,
+    role: p.role === "host" ? "host" : "viewer",
+    ts: Number.isFinite(p.ts) ? p.ts : Date.now(),
+    text: p.text.slice(0, MAX_CHAT_CHARS),
+  };
+}
+
+// Entry: { id, from, name, role, ts, text, mine, status, deliveredTo, failedFor, insecure,
+//          claimed } -- claimed: the payload's { name, role } when the roster disagrees
+// status (own messages): "sending" | "sent" | "delivered" | "failed"
+// status (received):     "received" | "undecryptable"
+export class SecureChat {
+  constructor(session, { limit = CHAT_HISTORY_LIMIT } = {}) {
+    this.session = session;
+    this.limit = limit;
+    this.messages = [];
+    this.listeners = new Set();
+    this.offs = [];
+  }
+
+  // Subscribes to the session; constructing does not, so React can attach in an effect.
+  attach() {
+    if (this.offs.length) return;
+    const s = this.session;
+    this.offs = [
+      s.onFrame((f) => f.kind === "chat" && this.onFrame(f)),
+      s.on("rejected", ({ reason, frame }) => {
+        if (reason === "auth" && frame.kind === "chat" && !(frame.flags & FRAME_FLAG.RECEIPT)) {
+          this.onUndecryptable(frame);
+        }
+      }),
+      s.on("control", (msg) => msg.type === "chat-failed" && this.onFailedReport(msg)),
+      s.on("chat", (msg) => this.onPlainChat(msg)),
+    ];
+  }
+
+  detach() {
+    this.offs.forEach((off) => off());
+    this.offs = [];
+  }
+
+  // fn(messages) after every change
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  changed() {
+    if (this.messages.length > this.limit) this.messages = this.messages.slice(-this.limit);
+    this.listeners.forEach((fn) => fn(this.messages));
+  }
+
+  add(entry) {
+    this.messages = [...this.messages, { deliveredTo: [], failedFor: [], insecure: false, ...entry }];
+    this.changed();
+  }
+
+  update(id, fn) {
+    let hit = false;
+    this.messages = this.messages.map((m) => {
+      if (m.id !== id) return m;
+      hit = true;
+      return { ...m, ...fn(m) };
+    });
+    if (hit) this.changed();
+  }
+
+  // Resolves true once the frame is on the wire.
+  async send(text) {
+    const s = this.session;
+    const body = text.trim().slice(0, MAX_CHAT_CHARS);
+    if (!body) return false;
+    const role = s.role === "host" ? "host" : "viewer";
+    const msg = { t: "msg", id: crypto.randomUUID(), name: s.name, role, ts: Date.now(), text: body };
+    this.add({ ...msg, from: s.clientId, mine: true, status: "sending" });
+
+    let counter = false;
+    try {
+      counter = await s.send("chat", encodeChat(msg));
+    } catch (err) {
+      s.log(`❌ Chat not sent: ${err?.message || err}`);
+    }
+    this.update(msg.id, () => (counter ? { status: "sent", counter } : { status: "failed" }));
+    return !!counter;
+  }
+
+  onFrame(f) {
+    const p = decodeChat(f.data);
+    if (!p) {
+      this.session.log(`Chat payload from ${f.sender.slice(0, 8)} not understood; ignored.`);
+      return;
+    }
+    if (p.t === "ack") {
+      for (const id of p.ids) {
+        this.update(id, (m) =>
+          m.mine && !m.deliveredTo.includes(f.sender)
+            ? { status: "delivered", deliveredTo: [...m.deliveredTo, f.sender] }
+            : {}
+        );
+      }
+      return;
+    }
+    if (this.messages.some((m) => m.id === p.id)) return;
+    const { name, role } = this.senderInfo(f.sender);
+    const claimed = p.name !== name || p.role !== role ? { name: p.name, role: p.role } : null;
+    if (claimed) {
+      this.session.log(`⚠️ Chat from ${name || f.sender.slice(0, 8)} claims to be ${claimed.name || "unnamed"} (${claimed.role}).`);
+    }
+    this.add({ ...p, name, role, claimed, from: f.sender, mine: false, status: "received" });
+    this.session.send("chat", encodeChat({ t: "ack", ids: [p.id] }), FRAME_FLAG.RECEIPT).catch(() => {});
+  }
+
+  // Who the relay says sent a frame: the frame's sender is checked against
+  // its socket, and names come from login tokens.
+  senderInfo(clientId) {
+    const s = this.session;
+    const member = s.roster.get(clientId);
+    return {
+      name: member?.name ?? null,
+      role: clientId === s.hostId ? "host" : member ? "viewer" : null,
+    };
+  }
+
+  onUndecryptable(frame) {
+    this.add({
+      id: `undecryptable:${frame.sender}:${frame.counter}`,
+      from: frame.sender,
+      name: this.session.roster.get(frame.sender)?.name ?? null,
+      role: null,
+      ts: Date.now(),
+      text: null,
+      mine: false,
+      status: "undecryptable",
+    });
+    this.session.sendControl({
+      type: "chat-failed",
+      from: this.session.clientId,
+      to: frame.sender,
+      counter: frame.counter,
+    });
+  }
+
+  // Unauthenticated hint from a peer; it never overrides "delivered".
+  onFailedReport(msg) {
+    const m = this.messages.find((e) => e.mine && e.counter === msg.counter);
+    if (!m || typeof msg.from !== "string" || m.failedFor.includes(msg.from)) return;
+    this.update(m.id, () => ({ failedFor: [...m.failedFor, msg.from] }));
+  }
+
+  // Plaintext relay chat (permissive sessions only): shown, but marked.
+  onPlainChat(msg) {
+    this.add({
+      id: `plain:${crypto.randomUUID()}`,
+      from: msg.from,
+      name: msg.name,
+      role: this.session.roster.get(msg.from)?.role ?? null,
+      ts: Date.now(),
+      text: msg.text,
+      mine: msg.from === this.session.clientId,
+      status: "received",
+      insecure: true,
+    });
+  }
+}
@@ -0,0 +1,167 @@
+// src/lib/connection.js
+// WebSocket connection manager: exponential backoff with full jitter, manual
+// cancel, and online/offline awareness. Callers get the live socket through
+// the callbacks and decide what "resume" means (re-hello, key refresh, ...).
+
+export const RECONNECT_BASE_MS = 500;
+export const RECONNECT_MAX_MS = 30000;
+
+// Delay before retry number `attempt` (1-based): random up to a cap that
+// doubles per attempt ("full jitter"), so a relay restart doesn't get every
+// client back at the same instant.
+export function backoffDelay(attempt, base = RECONNECT_BASE_MS, max = RECONNECT_MAX_MS) {
+  const cap = Math.min(max, base * 2 ** Math.min(attempt - 1, 16));
+  return Math.max(base / 2, Math.round(Math.random() * cap));
+}
+
+// status: "idle" | "connecting" | "open" | "reconnecting" | "offline" | "closed"
+export class ConnectionManager {
+  // url: () => string, read on every attempt.
+  // finalCodes: close codes that end the connection for good (no retry).
+  // WebSocket: constructor to use; Node 20 has none built in (pass `ws`).
+  // Callbacks: onOpen(ws, { resumed }), onMessage(ev), onClose(ev, { final }),
+  // onStatus({ status, attempt, retryInMs }), onError(err) when a socket
+  // cannot even be created (bad URL, blocked port).
+  // Constructing has no side effects; listeners attach on connect().
+  constructor({ url, finalCodes = {}, base, max, WebSocket: Impl = globalThis.WebSocket, ...callbacks }) {
+    this.url = url;
+    this.WebSocket = Impl;
+    this.finalCodes = finalCodes;
+    this.base = base;
+    this.max = max;
+    this.callbacks = callbacks;
+    this.ws = null;
+    this.status = "idle";
+    this.attempt = 0;
+    this.retryInMs = null;
+    this.timer = null;
+    this.wasOpen = false; // an earlier socket opened, so the next open is a resume
+    this.wanted = false; // the user asked to be connected
+
+    this.onOnline = () => {
+      if (this.wanted && !this.isOpen) this.retryNow();
+    };
+    this.onOffline = () => {
+      if (!this.wanted || this.isOpen) return; // an open socket may ride it out
+      clearTimeout(this.timer);
+      this.setStatus("offline");
+    };
+  }
+
+  get isOpen() {
+    return this.ws?.readyState === this.WebSocket.OPEN;
+  }
+
+  get isConnecting() {
+    return this.ws?.readyState === this.WebSocket.CONNECTING;
+  }
+
+  // Bytes queued in the socket, for senders that pace themselves.
+  get bufferedAmount() {
+    return this.ws?.bufferedAmount ?? 0;
+  }
+
+  send(data) {
+    if (!this.isOpen) return false;
+    this.ws.send(data);
+    return true;
+  }
+
+  // Starts (or restarts) a connection; a fresh connect is not a resume.
+  connect() {
+    if (this.isOpen || this.isConnecting) return;
+    this.listenToNetwork(true);
+    this.wanted = true;
+    this.wasOpen = false;
+    this.attempt = 0;
+    this.open();
+  }
+
+  // Skips the remaining backoff wait.
+  retryNow() {
+    if (this.isOpen || this.isConnecting) return;
+    clearTimeout(this.timer);
+    this.open();
+  }
+
+  // Stops retrying and closes the socket; the manager can connect() again.
+  cancel() {
+    this.wanted = false;
+    this.listenToNetwork(false);
+    clearTimeout(this.timer);
+    this.attempt = 0;
+    const ws = this.ws;
+    this.ws = null;
+    if (ws && ws.readyState < this.WebSocket.CLOSING) ws.close(1000, "cancelled");
+    this.setStatus("idle");
+  }
+
+  listenToNetwork(on) {
+    if (typeof window === "undefined" || typeof window.addEventListener !== "function") return;
+    const method = on ? "addEventListener" : "removeEventListener";
+    window[method]("online", this.onOnline);
+    window[method]("offline", this.onOffline);
+  }
+
+  setStatus(status) {
+    this.status = status;
+    this.callbacks.onStatus?.({ status, attempt: this.attempt, retryInMs: this.retryInMs });
+  }
+
+  open() {
+    if (typeof navigator !== "undefined" && navigator.onLine === false) {
+      this.setStatus("offline");
+      return;
+    }
+    this.retryInMs = null;
+    this.setStatus(this.attempt > 0 ? "reconnecting" : "connecting");
+
+    let ws;
+    try {
+      ws = new this.WebSocket(this.url());
+    } catch (err) {
+      // The constructor throws instead of closing; retry the same way.
+      this.callbacks.onError?.(err);
+      this.scheduleRetry();
+      return;
+    }
+    ws.binaryType = "arraybuffer";
+    this.ws = ws;
+
+    ws.onopen = () => {
+      if (this.ws !== ws) return;
+      const resumed = this.wasOpen;
+      this.wasOpen = true;
+      this.attempt = 0;
+      this.setStatus("open");
+      this.callbacks.onOpen?.(ws, { resumed });
+    };
+    ws.onmessage = (ev) => {
+      if (this.ws === ws) this.callbacks.onMessage?.(ev);
+    };
+    ws.onerror = () => {
+      // onclose follows and decides about retrying
+    };
+    ws.onclose = (ev) => {
+      if (this.ws !== ws) return; // cancelled or replaced
+      this.ws = null;
+      const final = !!this.finalCodes[ev.code];
+      this.callbacks.onClose?.(ev, { final });
+      if (final) {
+        this.wanted = false;
+        this.listenToNetwork(false);
+        this.setStatus("closed");
+        return;
+      }
+      this.scheduleRetry();
+    };
+  }
+
+  scheduleRetry() {
+    if (!this.wanted) return;
+    this.attempt++;
+    this.retryInMs = backoffDelay(this.attempt, this.base, this.max);
+    this.setStatus("reconnecting");
+    this.timer = setTimeout(() => this.open(), this.retryInMs);
+  }
+}
@@ -0,0 +1,298 @@
+// src/lib/crypto.js
+// Shared WebCrypto helpers for the chat and media paths.
+// Runs in browsers and in Node 20+ (global `crypto`, `atob`, `btoa`).
+
+export const NONCE_BYTES = 12;
+// Per-key invocation budget. Past ROTATE_AT the sealer asks for a rotation;
+// at LIMIT it refuses to encrypt until a new key is installed.
+export const KEY_INVOCATION_LIMIT = 2 ** 32;
+export const KEY_ROTATE_AT = 2 ** 31;
+
+// ---- Base64 helpers ----
+export function b64ToBytes(b64) {
+  const bin = atob(b64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+export function bytesToB64(buf) {
+  const bytes = new Uint8Array(buf);
+  let s = "";
+  for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+  return btoa(s);
+}
+
+// ---- WebCrypto AES-GCM helpers ----
+export async function importRawAesKey(rawKey) {
+  return crypto.subtle.importKey("raw", rawKey, { name: "AES-GCM" }, false, [
+    "encrypt",
+    "decrypt",
+  ]);
+}
+export async function exportRawAesKey(key) {
+  const raw = await crypto.subtle.exportKey("raw", key);
+  return new Uint8Array(raw);
+}
+export async function genAesKey(bits = 256) {
+  return crypto.subtle.generateKey(
+    { name: "AES-GCM", length: bits },
+    true,
+    ["encrypt", "decrypt"]
+  );
+}
+export async function aesGcmEncrypt(key, plaintext, iv, aad) {
+  const ct = await crypto.subtle.encrypt(
+    { name: "AES-GCM", iv, additionalData: aad },
+    key,
+    plaintext
+  );
+  return new Uint8Array(ct);
+}
+export async function aesGcmDecrypt(key, ciphertext, iv, aad) {
+  const pt = await crypto.subtle.decrypt(
+    { name: "AES-GCM", iv, additionalData: aad },
+    key,
+    ciphertext
+  );
+  return new Uint8Array(pt);
+}
+
+// ---- Deterministic nonces ----
+// IV = salt XOR counter (counter in the low 64 bits), as in TLS 1.3 / SFrame.
+// Each sender picks a fresh random salt per key, so IVs never repeat as long
+// as the counter only moves forward.
+export function makeNonce(salt, counter) {
+  const iv = new Uint8Array(salt);
+  const view = new DataView(iv.buffer);
+  view.setBigUint64(4, view.getBigUint64(4) ^ BigInt(counter));
+  return iv;
+}
+
+export class KeyExhaustedError extends Error {
+  constructor() {
+    super("AES key reached its invocation limit; rotate the key");
+    this.name = "KeyExhaustedError";
+  }
+}
+
+// Encrypts frames for one (key, sender) pair and enforces the nonce rules.
+export class FrameSealer {
+  constructor(key, { salt, limit = KEY_INVOCATION_LIMIT, rotateAt = KEY_ROTATE_AT } = {}) {
+    this.key = key;
+    this.salt = salt || crypto.getRandomValues(new Uint8Array(NONCE_BYTES));
+    this.limit = limit;
+    this.rotateAt = rotateAt;
+    this.invocations = 0;
+    this.lastCounter = -1;
+  }
+
+  get shouldRotate() {
+    return this.invocations >= this.rotateAt;
+  }
+
+  // Checks run synchronously, so callers that hand out counters in order can
+  // seal concurrently.
+  async seal(counter, plaintext, aad) {
+    if (this.invocations >= this.limit) throw new KeyExhaustedError();
+    if (counter <= this.lastCounter) throw new Error("Nonce counter must increase");
+    this.lastCounter = counter;
+    this.invocations++;
+    const iv = makeNonce(this.salt, counter);
+    return { iv, ciphertext: await aesGcmEncrypt(this.key, plaintext, iv, aad) };
+  }
+}
+
+// ---- ECDH (P-256) + HKDF key wrapping ----
+// End-to-end mode: the host creates the session key locally and wraps it for
+// each viewer under a key derived from their ECDH shared secret. Only public
+// keys and wrapped keys cross the relay.
+const WRAP_INFO_PREFIX = "cis4634-secure-stream/key-wrap/v1";
+
+export async function genEcdhKeyPair() {
+  return crypto.subtle.generateKey({ name: "ECDH", namedCurve: "P-256" }, false, [
+    "deriveBits",
+  ]);
+}
+export async function exportEcdhPublic(publicKey) {
+  return bytesToB64(await crypto.subtle.exportKey("raw", publicKey));
+}
+export async function importEcdhPublic(b64) {
+  return crypto.subtle.importKey(
+    "raw",
+    b64ToBytes(b64),
+    { name: "ECDH", namedCurve: "P-256" },
+    true,
+    []
+  );
+}
+
+// Context binds the wrap to one session, epoch, host and viewer; it is used
+// as the HKDF info and as AAD on the wrapped key.
+function wrapContext({ sessionId, epoch, hostId, viewerId }) {
+  return new TextEncoder().encode(
+    `${WRAP_INFO_PREFIX}|${sessionId}|${epoch}|${hostId}|${viewerId}`
+  );
+}
+
+async function deriveWrapKey(privateKey, peerPublic, info) {
+  const secret = await crypto.subtle.deriveBits({ name: "ECDH", public: peerPublic }, privateKey, 256);
+  const hkdf = await crypto.subtle.importKey("raw", secret, "HKDF", false, ["deriveKey"]);
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt: new Uint8Array(32), info },
+    hkdf,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Host side: returns { ivB64, keyB64 } for one viewer.
+export async function wrapSessionKey(rawKey, privateKey, peerPublic, context) {
+  const info = wrapContext(context);
+  const wrapKey = await deriveWrapKey(privateKey, peerPublic, info);
+  const iv = crypto.getRandomValues(new Uint8Array(NONCE_BYTES));
+  const wrapped = await aesGcmEncrypt(wrapKey, rawKey, iv, info);
+  return { ivB64: bytesToB64(iv), keyB64: bytesToB64(wrapped) };
+}
+
+// Viewer side: returns the session CryptoKey, or throws if the wrap doesn't
+// verify for this context.
+export async function unwrapSessionKey({ ivB64, keyB64 }, privateKey, peerPublic, context) {
+  const info = wrapContext(context);
+  const wrapKey = await deriveWrapKey(privateKey, peerPublic, info);
+  const raw = await aesGcmDecrypt(wrapKey, b64ToBytes(keyB64), b64ToBytes(ivB64), info);
+  return importRawAesKey(raw);
+}
+
+// ---- Passphrase-protected key files ----
+// A session key moved by hand travels as JSON:
+//   { format, version, sessionId, epoch, createdAt,
+//     kdf: { name: "PBKDF2", hash: "SHA-256", iterations, salt }, iv, key }
+// `key` is the raw AES key sealed with AES-GCM under a key derived from the
+// passphrase. The metadata is the AAD, so a file whose session, epoch or
+// date was edited fails to open just like a wrong passphrase.
+export const KEYFILE_FORMAT = "cis4634-keyfile";
+export const KEYFILE_MIN_PASSPHRASE = 8;
+const KEYFILE_VERSION = 1;
+const KEYFILE_ITERATIONS = 600_000; // OWASP guidance for PBKDF2-SHA-256
+const KEYFILE_ITERATIONS_MAX = 10_000_000; // refuse files that would stall the tab
+const KEYFILE_SALT_BYTES = 16;
+
+function keyFileContext({ sessionId, epoch, createdAt, kdf }) {
+  return new TextEncoder().encode(
+    [KEYFILE_FORMAT, KEYFILE_VERSION, sessionId ?? "", epoch, createdAt, kdf.name, kdf.hash, kdf.iterations].join("|")
+  );
+}
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const base = await crypto.subtle.importKey("raw", new TextEncoder().encode(passphrase), "PBKDF2", false, [
+    "deriveKey",
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    base,
+    { name: "AES-GCM", length: 256 },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+// Checks a Base64 AES key before it is imported: AES-GCM keys are 16 or 32 bytes.
+export function parseRawAesKeyB64(b64) {
+  const text = String(b64 ?? "").trim();
+  let raw;
+  try {
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(text)) throw new Error();
+    raw = b64ToBytes(text);
+  } catch {
+    throw new Error("Not a Base64 key");
+  }
+  if (raw.byteLength !== 16 && raw.byteLength !== 32) {
+    throw new Error(`AES keys are 16 or 32 bytes, got ${raw.byteLength}`);
+  }
+  return raw;
+}
+
+export async function sealKeyFile(rawKey, passphrase, { sessionId = null, epoch = 0, createdAt = Date.now() } = {}) {
+  if (String(passphrase).length < KEYFILE_MIN_PASSPHRASE) {
+    throw new Error(`Passphrase must be at least ${KEYFILE_MIN_PASSPHRASE} characters`);
+  }
+  const salt = crypto.getRandomValues(new Uint8Array(KEYFILE_SALT_BYTES));
+  const kdf = { name: "PBKDF2", hash: "SHA-256", iterations: KEYFILE_ITERATIONS, salt: bytesToB64(salt) };
+  const meta = { sessionId, epoch, createdAt, kdf };
+  const wrapKey = await derivePassphraseKey(passphrase, salt, kdf.iterations);
+  const iv = crypto.getRandomValues(new Uint8Array(NONCE_BYTES));
+  const sealed = await aesGcmEncrypt(wrapKey, rawKey, iv, keyFileContext(meta));
+  return { format: KEYFILE_FORMAT, version: KEYFILE_VERSION, ...meta, iv: bytesToB64(iv), key: bytesToB64(sealed) };
+}
+
+// Returns { rawKey, sessionId, epoch, createdAt }, or throws with a message
+// fit to show the user.
+export async function openKeyFile(file, passphrase) {
+  if (file?.format !== KEYFILE_FORMAT) throw new Error("Not a key file");
+  if (file.version !== KEYFILE_VERSION) throw new Error(`Unsupported key file version ${file.version}`);
+  const { sessionId, epoch, createdAt, kdf } = file;
+  const valid =
+    (sessionId === null || typeof sessionId === "string") &&
+    Number.isInteger(epoch) &&
+    epoch >= 0 &&
+    Number.isFinite(createdAt) &&
+    kdf?.name === "PBKDF2" &&
+    kdf.hash === "SHA-256" &&
+    Number.isInteger(kdf.iterations) &&
+    kdf.iterations >= 100_000 &&
+    kdf.iterations <= KEYFILE_ITERATIONS_MAX;
+  if (!valid) throw new Error("Key file is damaged");
+
+  let salt, iv, sealed;
+  try {
+    [salt, iv, sealed] = [kdf.salt, file.iv, file.key].map(b64ToBytes);
+  } catch {
+    throw new Error("Key file is damaged");
+  }
+  if (salt.byteLength < KEYFILE_SALT_BYTES || iv.byteLength !== NONCE_BYTES) throw new Error("Key file is damaged");
+
+  const wrapKey = await derivePassphraseKey(String(passphrase), salt, kdf.iterations);
+  let rawKey;
+  try {
+    rawKey = await aesGcmDecrypt(wrapKey, sealed, iv, keyFileContext(file));
+  } catch {
+    throw new Error("Wrong passphrase, or the key file was modified");
+  }
+  if (rawKey.byteLength !== 16 && rawKey.byteLength !== 32) throw new Error("Key file holds no AES key");
+  return { rawKey, sessionId, epoch, createdAt };
+}
+
+export async function sha256Hex(bytes) {
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return Array.from(digest, (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+// ---- Safety numbers ----
+// Key check value: GCM tag over a fixed label with the all-zero IV. Frame IVs
+// carry a random 96-bit salt, so they never land on this IV in practice.
+export async function keyCheckValue(key) {
+  const label = new TextEncoder().encode("cis4634-secure-stream/key-check/v1");
+  return aesGcmEncrypt(key, new Uint8Array(0), new Uint8Array(NONCE_BYTES), label);
+}
+
+// Safety number for a pair of participants: 6 groups of 5 digits derived from
+// both identity keys (ECDH public keys) and the current session key. Both
+// sides compute the same digits only if nobody swapped a key in between.
+// `a` and `b` are { id, pub } with pub in Base64; their order doesn't matter.
+export async function safetyNumber(sessionKey, sessionId, a, b) {
+  const [first, second] = a.id < b.id ? [a, b] : [b, a];
+  const kcv = bytesToB64(await keyCheckValue(sessionKey));
+  const input = new TextEncoder().encode(
+    ["cis4634-safety/v1", sessionId, first.id, first.pub, second.id, second.pub, kcv].join("|")
+  );
+  const digest = new DataView(await crypto.subtle.digest("SHA-256", input));
+
+  const groups = [];
+  for (let i = 0; i < 6; i++) {
+    // 40 bits per group, reduced to 5 digits
+    const n = digest.getUint32(i * 5) * 256 + digest.getUint8(i * 5 + 4);
+    groups.push(String(n % 100000).padStart(5, "0"));
+  }
+  return groups.join(" ");
+}
@@ -0,0 +1,274 @@
+// src/lib/files.js
+// Encrypted file sharing on top of SecureSession. A file travels as "file"
+// frames, each sealed with the session key like chat and video, so the relay
+// sees only chunk sizes. Inside the ciphertext:
+//
+//   0x01 manifest  UTF-8 JSON { id, name, size, type, sha256, chunkSize }
+//   0x02 chunk     file id (16 bytes UUID) | index (u32) | data
+//   0x03 abort     file id (16 bytes UUID)
+//
+// Chunks from one sender arrive in order, so a gap means the relay dropped
+// one (rate limit) and the transfer fails. Receivers only offer the file once
+// the SHA-256 of the reassembled bytes matches the manifest.
+
+import { parse as parseUuid, stringify as stringifyUuid } from "uuid";
+import { sha256Hex } from "./crypto.js";
+
+export const FILE_MAX_BYTES = 25 * 1024 * 1024;
+export const FILE_CHUNK_BYTES = 64 * 1024;
+// Well under the relay's default 4 MiB/s per-connection budget.
+export const FILE_RATE_BYTES_PER_SEC = 1024 * 1024;
+const SEND_HIGH_WATER = 512 * 1024; // wait while the socket holds this much
+const TRANSFER_LIMIT = 50;
+
+const MANIFEST = 1;
+const CHUNK = 2;
+const ABORT = 3;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+function encodeManifest(manifest) {
+  const json = new TextEncoder().encode(JSON.stringify(manifest));
+  const out = new Uint8Array(1 + json.byteLength);
+  out[0] = MANIFEST;
+  out.set(json, 1);
+  return out;
+}
+
+function encodeChunk(id, index, data) {
+  const out = new Uint8Array(21 + data.byteLength);
+  out[0] = CHUNK;
+  out.set(parseUuid(id), 1);
+  new DataView(out.buffer).setUint32(17, index);
+  out.set(data, 21);
+  return out;
+}
+
+function encodeAbort(id) {
+  const out = new Uint8Array(17);
+  out[0] = ABORT;
+  out.set(parseUuid(id), 1);
+  return out;
+}
+
+// { type: "manifest", manifest } | { type: "chunk", id, index, data } |
+// { type: "abort", id } | null
+export function decodeFilePayload(bytes) {
+  try {
+    if (bytes[0] === MANIFEST) {
+      const m = JSON.parse(new TextDecoder().decode(bytes.subarray(1)));
+      const valid =
+        typeof m.id === "string" &&
+        typeof m.name === "string" &&
+        Number.isInteger(m.size) &&
+        m.size >= 0 &&
+        m.size <= FILE_MAX_BYTES &&
+        Number.isInteger(m.chunkSize) &&
+        m.chunkSize > 0 &&
+        /^[0-9a-f]{64}$/.test(m.sha256);
+      if (!valid) return null;
+      const name = m.name.replace(/[/\\]/g, "_").slice(0, 255) || "file";
+      const type = typeof m.type === "string" ? m.type : "";
+      return { type: "manifest", manifest: { ...m, name, type } };
+    }
+    if (bytes[0] === CHUNK && bytes.byteLength >= 21) {
+      const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+      return {
+        type: "chunk",
+        id: stringifyUuid(bytes.subarray(1, 17)),
+        index: view.getUint32(17),
+        data: bytes.subarray(21),
+      };
+    }
+    if (bytes[0] === ABORT && bytes.byteLength >= 17) {
+      return { type: "abort", id: stringifyUuid(bytes.subarray(1, 17)) };
+    }
+  } catch {
+    // fall through
+  }
+  return null;
+}
+
+// Transfer: { id, name, size, type, sha256, from, mine, bytes, status, blob, url }
+// status (sent):     "sending" | "sent" | "failed" | "cancelled"
+// status (received): "receiving" | "verifying" | "verified" | "corrupt" | "failed" | "cancelled"
+// url is an object URL (browsers only) set once a received file is verified.
+export class SecureFileShare {
+  constructor(session, { limit = TRANSFER_LIMIT } = {}) {
+    this.session = session;
+    this.limit = limit;
+    this.transfers = [];
+    this.incoming = new Map(); // id -> { chunks, next, from }
+    this.cancelled = new Set(); // ids of our own transfers to stop
+    this.listeners = new Set();
+    this.offs = [];
+  }
+
+  attach() {
+    if (this.offs.length) return;
+    this.offs = [this.session.onFrame((f) => f.kind === "file" && this.onFrame(f))];
+  }
+
+  // Also releases the object URLs handed out so far.
+  detach() {
+    this.offs.forEach((off) => off());
+    this.offs = [];
+    this.transfers.forEach((t) => t.url && URL.revokeObjectURL(t.url));
+    this.transfers = [];
+    this.incoming.clear();
+  }
+
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  changed() {
+    if (this.transfers.length > this.limit) {
+      const dropped = this.transfers.slice(0, -this.limit);
+      dropped.forEach((t) => {
+        if (t.url) URL.revokeObjectURL(t.url);
+        this.incoming.delete(t.id);
+      });
+      this.transfers = this.transfers.slice(-this.limit);
+    }
+    this.listeners.forEach((fn) => fn(this.transfers));
+  }
+
+  add(transfer) {
+    this.transfers = [...this.transfers, { bytes: 0, blob: null, url: null, ...transfer }];
+    this.changed();
+  }
+
+  update(id, patch) {
+    this.transfers = this.transfers.map((t) => (t.id === id ? { ...t, ...patch } : t));
+    this.changed();
+  }
+
+  get(id) {
+    return this.transfers.find((t) => t.id === id);
+  }
+
+  // ---- Sending ----
+  // file: a Blob/File (anything with name, type, size and arrayBuffer()).
+  // Resolves true when every chunk was handed to the socket.
+  async share(file) {
+    const s = this.session;
+    if (file.size > FILE_MAX_BYTES) {
+      s.log(`❌ ${file.name} is larger than ${FILE_MAX_BYTES / (1024 * 1024)} MiB.`);
+      return false;
+    }
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const manifest = {
+      id: crypto.randomUUID(),
+      name: file.name || "file",
+      size: bytes.byteLength,
+      type: file.type || "",
+      sha256: await sha256Hex(bytes),
+      chunkSize: FILE_CHUNK_BYTES,
+    };
+    this.add({ ...manifest, from: s.clientId, mine: true, status: "sending" });
+
+    let ok = false;
+    try {
+      ok = await this.sendAll(manifest, bytes);
+    } catch (err) {
+      s.log(`❌ File transfer failed: ${err?.message || err}`);
+    }
+    const status = this.cancelled.delete(manifest.id) ? "cancelled" : ok ? "sent" : "failed";
+    this.update(manifest.id, { status });
+    if (status !== "sent") s.send("file", encodeAbort(manifest.id)).catch(() => {});
+    else s.log(`📎 Shared ${manifest.name} (${manifest.size} bytes, encrypted).`);
+    return status === "sent";
+  }
+
+  async sendAll(manifest, bytes) {
+    const s = this.session;
+    if (!(await s.send("file", encodeManifest(manifest)))) return false;
+    const msPerChunk = (FILE_CHUNK_BYTES / FILE_RATE_BYTES_PER_SEC) * 1000;
+    for (let index = 0, off = 0; off < bytes.byteLength; index++, off += FILE_CHUNK_BYTES) {
+      if (this.cancelled.has(manifest.id)) return false;
+      while (s.connected && s.bufferedAmount > SEND_HIGH_WATER) await sleep(50);
+      const started = Date.now();
+      const data = bytes.subarray(off, off + FILE_CHUNK_BYTES);
+      if (!(await s.send("file", encodeChunk(manifest.id, index, data)))) return false;
+      this.update(manifest.id, { bytes: off + data.byteLength });
+      await sleep(Math.max(0, msPerChunk - (Date.now() - started)));
+    }
+    return true;
+  }
+
+  cancel(id) {
+    const t = this.get(id);
+    if (t?.mine && t.status === "sending") this.cancelled.add(id);
+  }
+
+  // ---- Receiving ----
+  onFrame(f) {
+    const p = decodeFilePayload(f.data);
+    if (!p) {
+      this.session.log(`File payload from ${f.sender.slice(0, 8)} not understood; ignored.`);
+      return;
+    }
+    if (p.type === "manifest") {
+      const m = p.manifest;
+      if (this.get(m.id)) return;
+      this.incoming.set(m.id, { chunks: [], next: 0, from: f.sender });
+      this.add({ ...m, from: f.sender, mine: false, status: "receiving" });
+      if (m.size === 0) this.finish(m.id);
+      return;
+    }
+
+    const rx = this.incoming.get(p.id);
+    if (!rx || rx.from !== f.sender) return; // unknown, finished, or not the sender's
+    if (p.type === "abort") {
+      this.incoming.delete(p.id);
+      this.update(p.id, { status: "cancelled" });
+      return;
+    }
+    if (p.index !== rx.next) {
+      this.incoming.delete(p.id);
+      this.update(p.id, { status: "failed" });
+      this.session.log(`❌ File chunk ${rx.next} was lost; transfer failed.`);
+      return;
+    }
+    rx.chunks.push(p.data.slice());
+    rx.next++;
+    const t = this.get(p.id);
+    const bytes = t.bytes + p.data.byteLength;
+    if (bytes > t.size) {
+      this.incoming.delete(p.id);
+      this.update(p.id, { status: "corrupt" });
+      return;
+    }
+    this.update(p.id, { bytes });
+    if (bytes === t.size) this.finish(p.id);
+  }
+
+  async finish(id) {
+    const rx = this.incoming.get(id);
+    this.incoming.delete(id);
+    const t = this.get(id);
+    if (!rx || !t) return;
+    this.update(id, { status: "verifying" });
+
+    const bytes = new Uint8Array(t.size);
+    let off = 0;
+    for (const c of rx.chunks) {
+      bytes.set(c, off);
+      off += c.byteLength;
+    }
+    if ((await sha256Hex(bytes)) !== t.sha256) {
+      this.update(id, { status: "corrupt" });
+      this.session.log(`🛑 ${t.name}: SHA-256 mismatch; file discarded.`);
+      return;
+    }
+    const blob = new Blob([bytes], { type: t.type || "application/octet-stream" });
+    const url = typeof URL.createObjectURL === "function" ? URL.createObjectURL(blob) : null;
+    if (!this.get(id)) {
+      if (url) URL.revokeObjectURL(url); // evicted or detached meanwhile
+      return;
+    }
+    this.update(id, { status: "verified", blob, url });
+  }
+}
@@ -0,0 +1,102 @@
+// src/lib/frame.js
+// Versioned binary envelope for encrypted frames (chat, files, video, audio).
+// Sent as a single binary WebSocket message; the relay forwards it untouched.
+//
+//   off  size  field
+//    0    1    version (FRAME_VERSION)
+//    1    1    kind (FRAME_KIND)
+//    2    1    flags (FRAME_FLAG)
+//    3    1    quality layer (video; 0 = full quality, 0 for other kinds)
+//    4    4    key epoch (u32)
+//    8    8    counter (u64, per sender)
+//   16   16    sender client ID (UUID bytes)
+//   32   12    AES-GCM IV
+//   44    …    ciphertext + GCM tag
+//
+// The AAD is not sent: both sides derive it from the header plus the session
+// ID (see frameAad), so a relay cannot re-label a frame without breaking the tag.
+// The relay reads only the kind, flags, layer and epoch, to route frames.
+
+import { parse as parseUuid, stringify as stringifyUuid } from "uuid";
+
+export const FRAME_VERSION = 2;
+export const FRAME_HEADER_BYTES = 44;
+const AAD_HEADER_BYTES = 32; // version .. sender
+const IV_BYTES = 12;
+
+export const FRAME_KIND = {
+  chat: 1,
+  video: 2,
+  file: 3,
+  audio: 4,
+};
+const KIND_NAMES = Object.fromEntries(Object.entries(FRAME_KIND).map(([k, v]) => [v, k]));
+
+export const FRAME_FLAG = {
+  KEYFRAME: 0x01, // video: decodable on its own
+  RECEIPT: 0x02, // chat: delivery receipt, not a message
+  // video: replayed from the relay's late-join cache. The relay sets it, so
+  // it is left out of the AAD; receivers only honour it right after asking
+  // for the cache (SecureSession.requestCatchUp).
+  CACHED: 0x80,
+};
+
+function writeHeader(out, { kind, flags = 0, layer = 0, epoch = 0, counter, sender }) {
+  const kindId = FRAME_KIND[kind];
+  if (!kindId) throw new Error(`Unknown frame kind: ${kind}`);
+
+  const view = new DataView(out.buffer, out.byteOffset, out.byteLength);
+  view.setUint8(0, FRAME_VERSION);
+  view.setUint8(1, kindId);
+  view.setUint8(2, flags);
+  view.setUint8(3, layer);
+  view.setUint32(4, epoch);
+  view.setBigUint64(8, BigInt(counter));
+  out.set(parseUuid(sender), 16);
+}
+
+// AAD = header fields (version .. sender, minus FRAME_FLAG.CACHED) || UTF-8 session ID.
+// Receivers rebuild it from the decoded header, never from bytes they were sent.
+export function frameAad(header, sessionId) {
+  const sid = new TextEncoder().encode(sessionId);
+  const aad = new Uint8Array(AAD_HEADER_BYTES + sid.byteLength);
+  writeHeader(aad, { ...header, flags: (header.flags ?? 0) & ~FRAME_FLAG.CACHED });
+  aad.set(sid, AAD_HEADER_BYTES);
+  return aad;
+}
+
+export function encodeFrame({ iv, ciphertext, ...header }) {
+  if (iv.byteLength !== IV_BYTES) throw new Error("IV must be 12 bytes");
+
+  const out = new Uint8Array(FRAME_HEADER_BYTES + ciphertext.byteLength);
+  writeHeader(out, header);
+  out.set(iv, AAD_HEADER_BYTES);
+  out.set(ciphertext, FRAME_HEADER_BYTES);
+  return out;
+}
+
+// Accepts an ArrayBuffer or any Uint8Array view. Returned byte fields are
+// views into the input, not copies.
+export function decodeFrame(data) {
+  const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+  if (bytes.byteLength < FRAME_HEADER_BYTES) throw new Error("Truncated frame header");
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const version = view.getUint8(0);
+  if (version !== FRAME_VERSION) throw new Error(`Unsupported frame version ${version}`);
+
+  const kind = KIND_NAMES[view.getUint8(1)];
+  if (!kind) throw new Error(`Unknown frame kind ${view.getUint8(1)}`);
+
+  return {
+    version,
+    kind,
+    flags: view.getUint8(2),
+    layer: view.getUint8(3),
+    epoch: view.getUint32(4),
+    counter: Number(view.getBigUint64(8)),
+    sender: stringifyUuid(bytes.subarray(16, AAD_HEADER_BYTES)),
+    iv: bytes.subarray(AAD_HEADER_BYTES, FRAME_HEADER_BYTES),
+    ciphertext: bytes.subarray(FRAME_HEADER_BYTES),
+  };
+}
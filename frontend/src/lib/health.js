@@ -0,0 +1,203 @@
+// src/lib/health.js
+// Stream health for the encrypted video path, sampled once a second:
+//
+//   latencyMs   capture on the host -> painted on this canvas (median). The
+//               host stamps each chunk with its capture time on the relay's
+//               clock (see media.js packChunk and SecureSession.relayNow), so
+//               both ends compare times on the same clock.
+//   jitterMs    RFC 3550 interarrival jitter of video frames
+//   lossPct     gaps in the video sequence of the received quality layer
+//               (relay drops, failed decrypts)
+//   decP50/P95  AES-GCM decrypt time of video frames
+//   kbps / fps  encrypted video on the wire (received, or sent by the host)
+//
+// Viewers can opt in to send their latest sample to the host every few
+// seconds as an addressed { type: "health-report", to, stats } control
+// message; the relay stamps the sender and only delivers it to the host.
+
+import { FRAME_KIND } from "./frame.js";
+import { unpackChunk } from "./media.js";
+
+export const HEALTH_SAMPLE_MS = 1000;
+export const HEALTH_HISTORY = 60; // samples kept (one minute)
+export const HEALTH_REPORT_MS = 5000;
+export const HEALTH_REPORT_TTL_MS = 15000; // host forgets silent viewers after this
+export const HEALTH_FIELDS = ["latencyMs", "jitterMs", "lossPct", "decP50", "decP95", "kbps", "fps"];
+
+function percentile(values, p) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor((p / 100) * sorted.length))];
+}
+
+const round1 = (n) => (n == null ? null : Math.round(n * 10) / 10);
+
+// Keeps only known numeric fields of a peer's report.
+export function sanitizeHealth(stats) {
+  const out = {};
+  for (const k of HEALTH_FIELDS) {
+    const v = stats?.[k];
+    out[k] = typeof v === "number" && Number.isFinite(v) ? v : null;
+  }
+  return out;
+}
+
+// Sample: { t, latencyMs, jitterMs, lossPct, decP50, decP95, kbps, fps }
+// (fields are null when there was nothing to measure in that second).
+export class StreamHealth {
+  constructor(session, { history = HEALTH_HISTORY } = {}) {
+    this.session = session;
+    this.historyLimit = history;
+    this.samples = [];
+    this.reports = new Map(); // host: viewer clientId -> { name, stats, at }
+    this.reporting = false;
+    this.listeners = new Set();
+    this.offs = [];
+    this.timers = [];
+    this.resetWindow();
+    this.resetStream();
+  }
+
+  resetWindow() {
+    this.window = { latency: [], decrypt: [], bytes: 0, frames: 0, expected: 0, received: 0 };
+  }
+
+  // Sequence and jitter state restart after a reconnect: frames sent while
+  // we were away are not loss on this link.
+  resetStream() {
+    this.lastSeq = null; // { layer, seq } of the last video chunk
+    this.lastTransit = null;
+    this.jitter = 0;
+  }
+
+  attach() {
+    if (this.offs.length) return;
+    const s = this.session;
+    this.offs = [
+      s.on("open", () => this.resetStream()),
+      s.onFrame((f) => this.onFrame(f)),
+      s.on("wire", ({ direction, bytes }) => this.onWire(direction, bytes)),
+      s.on("control", (msg) => msg.type === "health-report" && this.onReport(msg)),
+    ];
+    this.timers = [
+      setInterval(() => this.sample(), HEALTH_SAMPLE_MS),
+      setInterval(() => this.report(), HEALTH_REPORT_MS),
+    ];
+  }
+
+  detach() {
+    this.offs.forEach((off) => off());
+    this.offs = [];
+    this.timers.forEach(clearInterval);
+    this.timers = [];
+  }
+
+  // fn({ samples, reports }) after every sample or report
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  changed() {
+    const reports = Object.fromEntries(this.reports);
+    this.listeners.forEach((fn) => fn({ samples: this.samples, reports }));
+  }
+
+  get latest() {
+    return this.samples[this.samples.length - 1] || null;
+  }
+
+  // Viewer: opt in/out of sending samples to the host.
+  setReporting(on) {
+    this.reporting = !!on;
+  }
+
+  // ---- Measurements ----
+  // Encrypted video bytes in the direction this client uses them.
+  onWire(direction, bytes) {
+    if (bytes[1] !== FRAME_KIND.video) return;
+    const hosting = this.session.hostId === this.session.clientId;
+    if ((direction === "out") !== hosting) return;
+    this.window.bytes += bytes.byteLength;
+    if (hosting) this.window.frames++;
+  }
+
+  onFrame(f) {
+    if (f.kind !== "video" || f.sender !== this.session.hostId) return;
+    const w = this.window;
+    w.frames++;
+    w.decrypt.push(f.decryptMs);
+    let seq;
+    try {
+      seq = unpackChunk(f.data).seq;
+    } catch {
+      return;
+    }
+    // A layer switch starts a new sequence.
+    const last = this.lastSeq;
+    if (last && last.layer === f.layer && seq > last.seq) {
+      w.expected += seq - last.seq;
+      w.received++;
+    }
+    this.lastSeq = { layer: f.layer, seq };
+  }
+
+  // Renderer callback: a chunk stamped at captureMs (relay clock) was painted.
+  rendered(captureMs) {
+    if (!Number.isFinite(captureMs) || !this.session.clockSynced) return;
+    const transit = this.session.relayNow() - captureMs;
+    this.window.latency.push(transit);
+    if (this.lastTransit !== null) {
+      this.jitter += (Math.abs(transit - this.lastTransit) - this.jitter) / 16;
+    }
+    this.lastTransit = transit;
+  }
+
+  sample() {
+    const w = this.window;
+    const secs = HEALTH_SAMPLE_MS / 1000;
+    const latency = percentile(w.latency, 50);
+    this.samples = [
+      ...this.samples.slice(-(this.historyLimit - 1)),
+      {
+        t: Date.now(),
+        latencyMs: latency == null ? null : Math.max(0, Math.round(latency)),
+        jitterMs: w.latency.length ? round1(this.jitter) : null,
+        lossPct: w.expected ? round1(((w.expected - w.received) / w.expected) * 100) : null,
+        decP50: percentile(w.decrypt, 50),
+        decP95: percentile(w.decrypt, 95),
+        kbps: Math.round((w.bytes * 8) / 1000 / secs),
+        fps: round1(w.frames / secs),
+      },
+    ];
+    this.resetWindow();
+    this.expireReports();
+    this.changed();
+  }
+
+  // ---- Reports (viewer -> host) ----
+  report() {
+    const s = this.session;
+    const latest = this.latest;
+    if (!this.reporting || !latest || !s.hostId || s.hostId === s.clientId) return;
+    const { t: _t, ...stats } = latest;
+    s.sendControl({ type: "health-report", to: s.hostId, stats });
+  }
+
+  onReport(msg) {
+    if (typeof msg.from !== "string") return;
+    this.reports.set(msg.from, {
+      name: typeof msg.name === "string" ? msg.name : null,
+      stats: sanitizeHealth(msg.stats),
+      at: Date.now(),
+    });
+    this.changed();
+  }
+
+  expireReports() {
+    const cutoff = Date.now() - HEALTH_REPORT_TTL_MS;
+    for (const [id, r] of this.reports) {
+      if (r.at < cutoff) this.reports.delete(id);
+    }
+  }
+}
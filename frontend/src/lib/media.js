@@ -0,0 +1,427 @@
+// src/lib/media.js
+// Capture + WebCodecs helpers for the encrypted media path.
+// The host encodes camera/screen frames to VP8 chunks; each chunk is then
+// encrypted by the caller. Viewers decrypt and hand chunks back to a
+// VideoDecoder that paints into a <canvas>. Microphone audio takes the same
+// route as Opus packets, played back through Web Audio (see audio.js).
+
+export const VIDEO_CODEC = "vp8";
+export const VIDEO_BITRATE = 1_500_000;
+export const KEYFRAME_INTERVAL = 60; // frames between forced keyframes
+const MAX_ENCODE_QUEUE = 2; // drop capture frames if the encoder falls behind
+
+export const AUDIO_CODEC = "opus";
+export const AUDIO_SAMPLE_RATE = 48000;
+export const AUDIO_BITRATE = 32_000;
+const AUDIO_MIN_DELAY_MS = 80; // jitter buffer
+const AUDIO_MAX_DELAY_MS = 1000; // beyond this the clocks disagree; play soon instead
+const AUDIO_RESYNC_MS = 60;
+
+export function hasWebCodecs() {
+  return typeof VideoEncoder !== "undefined" && typeof VideoDecoder !== "undefined";
+}
+
+export function hasAudioCodecs() {
+  return typeof AudioEncoder !== "undefined" && typeof AudioDecoder !== "undefined";
+}
+
+// ---- Capture ----
+export async function captureMedia(source) {
+  if (source === "screen") {
+    return navigator.mediaDevices.getDisplayMedia({ video: { frameRate: 30 }, audio: false });
+  }
+  return navigator.mediaDevices.getUserMedia({
+    video: { width: 1280, height: 720, frameRate: 30 },
+    audio: false,
+  });
+}
+
+export async function captureMicrophone() {
+  return navigator.mediaDevices.getUserMedia({
+    audio: { channelCount: 1, sampleRate: AUDIO_SAMPLE_RATE, echoCancellation: true, noiseSuppression: true },
+    video: false,
+  });
+}
+
+// ---- Quality layers ----
+// The host encodes every layer a viewer subscribed to (simulcast) and tags
+// each frame with its layer id in the frame header; the relay forwards each
+// viewer only its layer. Layer 0 is the full capture.
+export const QUALITY_LAYERS = [
+  { id: 0, name: "High", scale: 1, bitrate: VIDEO_BITRATE },
+  { id: 1, name: "Medium", scale: 0.5, bitrate: 500_000 },
+  { id: 2, name: "Low", scale: 0.25, bitrate: 150_000 },
+];
+
+// ---- Chunk packing ----
+// Plaintext layout of one media chunk (encrypted as a whole):
+//   [u8 type (1 = key, 0 = delta)][f64 timestamp µs][f64 capture time ms]
+//   [u32 sequence within the layer][encoded bytes]
+// The capture time is wall-clock ms on the relay's clock (SecureSession.relayNow),
+// which viewers use for end-to-end latency; sequence gaps are frame loss
+// (health.js). Frame counters cannot show loss once layers are filtered.
+const CHUNK_HEADER = 21;
+
+export function packChunk(chunk, captureMs = NaN, seq = 0) {
+  const out = new Uint8Array(CHUNK_HEADER + chunk.byteLength);
+  const view = new DataView(out.buffer);
+  view.setUint8(0, chunk.type === "key" ? 1 : 0);
+  view.setFloat64(1, chunk.timestamp);
+  view.setFloat64(9, captureMs);
+  view.setUint32(17, seq);
+  chunk.copyTo(out.subarray(CHUNK_HEADER));
+  return out;
+}
+
+export function unpackChunk(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < CHUNK_HEADER) throw new Error("Truncated media chunk");
+  return {
+    type: view.getUint8(0) === 1 ? "key" : "delta",
+    timestamp: view.getFloat64(1),
+    captureMs: view.getFloat64(9),
+    seq: view.getUint32(17),
+    data: bytes.subarray(CHUNK_HEADER),
+  };
+}
+
+// ---- Host: track -> one VideoEncoder per quality layer ----
+// Calls onChunk(packedBytes, isKey, layer) for every encoded chunk; clock()
+// stamps the capture time of each frame. Only active layers are encoded
+// (setActiveLayers); a newly active layer starts with a keyframe.
+export function startVideoEncoder(stream, { onChunk, onError, clock = Date.now, layers = QUALITY_LAYERS }) {
+  const [track] = stream.getVideoTracks();
+  const settings = track.getSettings();
+  const width = settings.width || 1280;
+  const height = settings.height || 720;
+  const frameRate = Math.round(settings.frameRate || 30);
+  const even = (n) => Math.max(2, Math.round(n / 2) * 2);
+
+  const encoders = layers.map((layer) => {
+    const enc = {
+      layer: layer.id,
+      width: even(width * layer.scale),
+      height: even(height * layer.scale),
+      active: layer.id === 0,
+      frameNo: 0,
+      seq: 0,
+      forceKey: false,
+      captured: new Map(), // frame timestamp -> capture time, until encoded
+      canvas: null, // scaling surface for layers below full size
+    };
+    enc.encoder = new VideoEncoder({
+      output: (chunk) => {
+        const captureMs = enc.captured.get(chunk.timestamp);
+        enc.captured.delete(chunk.timestamp);
+        onChunk(packChunk(chunk, captureMs, enc.seq++), chunk.type === "key", enc.layer);
+      },
+      error: onError,
+    });
+    enc.encoder.configure({
+      codec: VIDEO_CODEC,
+      width: enc.width,
+      height: enc.height,
+      bitrate: layer.bitrate,
+      framerate: frameRate,
+      latencyMode: "realtime",
+    });
+    return enc;
+  });
+
+  const scaled = (enc, frame) => {
+    if (enc.width === frame.displayWidth && enc.height === frame.displayHeight) return frame;
+    enc.canvas ||= new OffscreenCanvas(enc.width, enc.height);
+    enc.canvas.getContext("2d").drawImage(frame, 0, 0, enc.width, enc.height);
+    return new VideoFrame(enc.canvas, { timestamp: frame.timestamp });
+  };
+
+  let stopped = false;
+  const encode = (frame) => {
+    const capturedAt = clock();
+    for (const enc of encoders) {
+      const { encoder } = enc;
+      if (stopped || !enc.active || encoder.state !== "configured" || encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        continue;
+      }
+      if (enc.captured.size > 32) enc.captured.clear(); // encoder dropped frames without output
+      enc.captured.set(frame.timestamp, capturedAt);
+      const input = scaled(enc, frame);
+      const keyFrame = enc.forceKey || enc.frameNo++ % KEYFRAME_INTERVAL === 0;
+      if (enc.forceKey) {
+        enc.forceKey = false;
+        enc.frameNo = 1;
+      }
+      encoder.encode(input, { keyFrame });
+      if (input !== frame) input.close();
+    }
+    frame.close();
+  };
+
+  let stopSource;
+  if (typeof MediaStreamTrackProcessor !== "undefined") {
+    // Chromium: pull VideoFrames straight off the track.
+    const reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+    (async () => {
+      while (!stopped) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        encode(value);
+      }
+    })().catch(onError);
+    stopSource = () => reader.cancel().catch(() => {});
+  } else {
+    // Fallback: sample a hidden <video> element on a timer.
+    const video = document.createElement("video");
+    video.muted = true;
+    video.playsInline = true;
+    video.srcObject = stream;
+    video.play().catch(onError);
+    const id = setInterval(() => {
+      if (video.readyState >= 2) encode(new VideoFrame(video, { timestamp: performance.now() * 1000 }));
+    }, 1000 / frameRate);
+    stopSource = () => {
+      clearInterval(id);
+      video.srcObject = null;
+    };
+  }
+
+  return {
+    width,
+    height,
+    // ids: layers someone receives; layer 0 always stays on (preview, recording).
+    setActiveLayers(ids) {
+      for (const enc of encoders) {
+        const active = enc.layer === 0 || ids.has(enc.layer);
+        if (active && !enc.active) enc.frameNo = 0;
+        enc.active = active;
+      }
+    },
+    // A viewer switched to `layer` and waits for its next keyframe; at most
+    // one early keyframe per layer and second.
+    requestKeyframe(layer) {
+      const enc = encoders.find((e) => e.layer === layer);
+      if (!enc || Date.now() - (enc.keyRequestedAt || 0) < 1000) return;
+      enc.keyRequestedAt = Date.now();
+      enc.forceKey = true;
+    },
+    stop() {
+      stopped = true;
+      stopSource();
+      for (const { encoder } of encoders) if (encoder.state !== "closed") encoder.close();
+    },
+  };
+}
+
+// ---- Viewer: decrypted chunks -> VideoDecoder -> canvas ----
+// onRender(captureMs) fires after each frame is painted; captureMs is NaN for
+// chunks pushed as cached (replayed by the relay, so their age is not latency).
+export function createVideoRenderer(canvas, { onError, onRender = () => {} }) {
+  let decoder = null;
+  const captured = new Map(); // chunk timestamp -> capture time, until painted
+
+  const open = () => {
+    decoder = new VideoDecoder({
+      output: (frame) => {
+        if (canvas.width !== frame.displayWidth) canvas.width = frame.displayWidth;
+        if (canvas.height !== frame.displayHeight) canvas.height = frame.displayHeight;
+        canvas.getContext("2d").drawImage(frame, 0, 0);
+        const captureMs = captured.get(frame.timestamp);
+        captured.delete(frame.timestamp);
+        frame.close();
+        onRender(captureMs);
+      },
+      error: (err) => {
+        // A closed decoder waits for the next keyframe before resuming.
+        decoder = null;
+        onError(err);
+      },
+    });
+    decoder.configure({ codec: VIDEO_CODEC, optimizeForLatency: true });
+  };
+
+  return {
+    // Returns false while still waiting for a keyframe to start decoding.
+    push(bytes, { cached = false } = {}) {
+      const chunk = unpackChunk(bytes);
+      if (!decoder || decoder.state === "closed") {
+        if (chunk.type !== "key") return false;
+        open();
+      }
+      if (captured.size > 32) captured.clear();
+      captured.set(chunk.timestamp, cached ? NaN : chunk.captureMs);
+      decoder.decode(new EncodedVideoChunk(chunk));
+      return true;
+    },
+    // Chunks waiting to be decoded: a growing queue means this device cannot
+    // keep up with the layer (quality.js).
+    get queueSize() {
+      return decoder?.decodeQueueSize ?? 0;
+    },
+    close() {
+      if (decoder && decoder.state !== "closed") decoder.close();
+      decoder = null;
+    },
+  };
+}
+
+// ---- Microphone -> Opus ----
+// Calls onChunk(packedBytes) for every Opus packet, packed like video chunks
+// (every packet is a "key" chunk; the sequence counts this encoder's packets).
+// The encoder regroups samples into its own packets, so capture times are
+// derived from the media timestamp and the clock at the first sample.
+// Receivers decode 48 kHz mono (createAudioPlayer), so that is what gets
+// encoded: samples come straight from the track when it has that format,
+// otherwise through a Web Audio graph that resamples and downmixes them.
+export function startAudioEncoder(stream, { onChunk, onError, clock = Date.now }) {
+  const [track] = stream.getAudioTracks();
+  let seq = 0;
+  let base = null; // clock() at media timestamp 0, in ms
+  const encoder = new AudioEncoder({
+    output: (chunk) => onChunk(packChunk(chunk, base + chunk.timestamp / 1000, seq++)),
+    error: onError,
+  });
+  encoder.configure({ codec: AUDIO_CODEC, sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: 1, bitrate: AUDIO_BITRATE });
+
+  let stopped = false;
+  const encode = (data) => {
+    if (stopped || encoder.state === "closed") {
+      data.close();
+      return;
+    }
+    base ??= clock() - data.timestamp / 1000;
+    encoder.encode(data);
+    data.close();
+  };
+
+  let stopSource;
+  const fromTrack = () => {
+    const reader = new MediaStreamTrackProcessor({ track }).readable.getReader();
+    (async () => {
+      while (!stopped) {
+        const { value, done } = await reader.read();
+        if (done) break;
+        if (value.sampleRate !== AUDIO_SAMPLE_RATE || value.numberOfChannels !== 1) {
+          // The track's settings promised the encoder's format; it isn't.
+          value.close();
+          reader.cancel().catch(() => {});
+          base = null; // the graph has its own timeline
+          if (!stopped) fromGraph();
+          break;
+        }
+        encode(value);
+      }
+    })().catch(onError);
+    stopSource = () => reader.cancel().catch(() => {});
+  };
+
+  // Copies samples out of a Web Audio graph running at 48 kHz, with a
+  // one-channel tap (stereo input is mixed down).
+  const fromGraph = () => {
+    const ctx = new AudioContext({ sampleRate: AUDIO_SAMPLE_RATE });
+    const source = ctx.createMediaStreamSource(stream);
+    const tap = ctx.createScriptProcessor(2048, 1, 1);
+    tap.onaudioprocess = (e) => {
+      const samples = e.inputBuffer.getChannelData(0);
+      encode(
+        new AudioData({
+          format: "f32-planar",
+          sampleRate: ctx.sampleRate,
+          numberOfFrames: samples.length,
+          numberOfChannels: 1,
+          timestamp: Math.round(e.playbackTime * 1e6),
+          data: samples,
+        })
+      );
+    };
+    source.connect(tap);
+    tap.connect(ctx.destination); // only runs while connected; outputs silence
+    stopSource = () => {
+      tap.disconnect();
+      source.disconnect();
+      ctx.close().catch(() => {});
+    };
+  };
+
+  const { sampleRate, channelCount } = track.getSettings();
+  const native = sampleRate === AUDIO_SAMPLE_RATE && channelCount === 1;
+  if (native && typeof MediaStreamTrackProcessor !== "undefined") fromTrack();
+  else fromGraph();
+
+  return {
+    // Sends what is still in the encoder, so a released push-to-talk keeps its last word.
+    stop() {
+      stopped = true;
+      stopSource();
+      const close = () => encoder.state !== "closed" && encoder.close();
+      if (encoder.state === "configured") encoder.flush().catch(() => {}).finally(close);
+      else close();
+    },
+  };
+}
+
+// ---- Opus -> AudioDecoder -> Web Audio ----
+// One player per sender, into `output` (a node on `ctx`). Packets play back
+// to back; the first one, and any that drifted AUDIO_RESYNC_MS from its slot,
+// is placed at its capture time + delay() on clock(), so a caller can hold
+// audio back to line up with video. clock() may return NaN (no shared clock):
+// packets then just get the jitter buffer. Sequence gaps become silence; a
+// sequence that starts over (a new encoder) is placed afresh.
+export function createAudioPlayer(ctx, output, { clock, delay = () => 0, onError }) {
+  let decoder = null;
+  let nextAt = 0; // ctx time the next packet starts
+  let lastSeq = null;
+  const captured = new Map(); // chunk timestamp -> { captureMs, seq }, until decoded
+
+  const play = (data) => {
+    const { captureMs, seq } = captured.get(data.timestamp) || {};
+    captured.delete(data.timestamp);
+    const buffer = ctx.createBuffer(data.numberOfChannels, data.numberOfFrames, data.sampleRate);
+    for (let c = 0; c < data.numberOfChannels; c++) {
+      data.copyTo(buffer.getChannelData(c), { planeIndex: c, format: "f32-planar" });
+    }
+    data.close();
+
+    if (seq != null && lastSeq != null) {
+      if (seq > lastSeq + 1) nextAt += (seq - lastSeq - 1) * buffer.duration;
+      if (seq <= lastSeq) nextAt = 0;
+    }
+    if (seq != null) lastSeq = seq;
+
+    const now = ctx.currentTime;
+    let ahead = captureMs + Math.max(AUDIO_MIN_DELAY_MS, delay()) - clock();
+    if (!Number.isFinite(ahead) || ahead > AUDIO_MAX_DELAY_MS) ahead = AUDIO_MIN_DELAY_MS;
+    const slot = now + Math.max(0, ahead) / 1000;
+    if (nextAt < now || Math.abs(slot - nextAt) > AUDIO_RESYNC_MS / 1000) nextAt = slot;
+
+    const node = ctx.createBufferSource();
+    node.buffer = buffer;
+    node.connect(output);
+    node.start(nextAt);
+    nextAt += buffer.duration;
+  };
+
+  const open = () => {
+    decoder = new AudioDecoder({
+      output: play,
+      error: (err) => {
+        decoder = null;
+        onError(err);
+      },
+    });
+    decoder.configure({ codec: AUDIO_CODEC, sampleRate: AUDIO_SAMPLE_RATE, numberOfChannels: 1 }); // as startAudioEncoder sends
+  };
+
+  return {
+    push(bytes) {
+      const chunk = unpackChunk(bytes);
+      if (!decoder || decoder.state === "closed") open();
+      if (captured.size > 64) captured.clear();
+      captured.set(chunk.timestamp, { captureMs: chunk.captureMs, seq: chunk.seq });
+      decoder.decode(new EncodedAudioChunk(chunk));
+    },
+    close() {
+      if (decoder && decoder.state !== "closed") decoder.close();
+      decoder = null;
+    },
+  };
+}
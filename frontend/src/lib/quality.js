@@ -0,0 +1,130 @@
+// src/lib/quality.js
+// Viewer-side choice of the video quality layer (see media.js QUALITY_LAYERS).
+// A fixed choice is sent to the relay as is. In "auto" mode every StreamHealth
+// sample is checked against the link and the decoder:
+//
+//   step down  frame loss above LOSS_DOWN_PCT (relay drops for a slow link),
+//              latency climbing LATENCY_DOWN_MS above its recent minimum for two
+//              samples (queues building: the link carries less than the layer
+//              needs), or a decode queue that stays long (this device cannot
+//              keep up)
+//   step up    after UPGRADE_STABLE_MS of clean samples; an upgrade that has to
+//              be undone within that time doubles the wait before the next one
+//
+// Samples right after a switch are ignored while the new layer settles.
+
+import { QUALITY_LAYERS } from "./media.js";
+
+export const QUALITY_AUTO = "auto";
+const LOSS_DOWN_PCT = 2;
+const LATENCY_DOWN_MS = 400;
+const QUEUE_DOWN = 5;
+const BASELINE_SAMPLES = 30;
+const UPGRADE_STABLE_MS = 10000;
+const UPGRADE_WAIT_MAX_MS = 120000;
+const SETTLE_MS = 3000;
+
+export class QualityController {
+  constructor(session, health, { layers = QUALITY_LAYERS } = {}) {
+    this.session = session;
+    this.health = health;
+    this.layers = layers;
+    this.mode = QUALITY_AUTO; // or a layer id
+    this.queueSize = () => 0; // decode queue probe (setQueueProbe)
+    this.listeners = new Set();
+    this.off = null;
+    this.resetAuto();
+  }
+
+  resetAuto() {
+    this.switchedAt = 0;
+    this.upgradedAt = 0;
+    this.stableSince = Date.now();
+    this.upgradeWait = UPGRADE_STABLE_MS;
+    this.latencies = [];
+    this.highLatency = 0;
+    this.reason = null;
+  }
+
+  get layer() {
+    return this.session.layer;
+  }
+
+  attach() {
+    if (this.off) return;
+    this.off = this.health.subscribe(({ samples }) => this.onSample(samples[samples.length - 1]));
+  }
+
+  detach() {
+    this.off?.();
+    this.off = null;
+  }
+
+  // fn({ mode, layer, reason }) after every change
+  subscribe(fn) {
+    this.listeners.add(fn);
+    return () => this.listeners.delete(fn);
+  }
+
+  changed() {
+    const state = { mode: this.mode, layer: this.layer, reason: this.reason };
+    this.listeners.forEach((fn) => fn(state));
+  }
+
+  // fn() -> chunks waiting in the video decoder
+  setQueueProbe(fn) {
+    this.queueSize = fn;
+  }
+
+  // mode: QUALITY_AUTO or a layer id
+  setMode(mode) {
+    this.mode = mode;
+    this.resetAuto();
+    if (mode !== QUALITY_AUTO) this.switchTo(mode, "manual");
+    else this.changed();
+  }
+
+  switchTo(layer, reason) {
+    this.reason = reason;
+    if (layer !== this.layer) {
+      this.session.setLayer(layer);
+      this.switchedAt = Date.now();
+      this.latencies = [];
+      this.highLatency = 0;
+    }
+    this.changed();
+  }
+
+  onSample(sample) {
+    if (this.mode !== QUALITY_AUTO || !sample || sample.fps === 0) return;
+    const now = Date.now();
+    if (now - this.switchedAt < SETTLE_MS) return;
+
+    const { lossPct, latencyMs } = sample;
+    if (latencyMs != null) this.latencies = [...this.latencies.slice(-(BASELINE_SAMPLES - 1)), latencyMs];
+    const baseline = this.latencies.length ? Math.min(...this.latencies) : null;
+    this.highLatency = latencyMs != null && latencyMs > baseline + LATENCY_DOWN_MS ? this.highLatency + 1 : 0;
+
+    let reason = null;
+    if (lossPct > LOSS_DOWN_PCT) reason = `${lossPct}% frame loss`;
+    else if (this.highLatency >= 2) reason = `latency ${latencyMs} ms (from ${baseline} ms)`;
+    else if (this.queueSize() > QUEUE_DOWN) reason = "decoder falling behind";
+
+    const lowest = this.layers[this.layers.length - 1].id;
+    if (reason) {
+      this.stableSince = now;
+      if (now - this.upgradedAt < this.upgradeWait) {
+        this.upgradeWait = Math.min(this.upgradeWait * 2, UPGRADE_WAIT_MAX_MS);
+      }
+      if (this.layer < lowest) this.switchTo(this.layer + 1, reason);
+      return;
+    }
+    // An upgrade that held for a long time earns the short wait back.
+    if (now - this.upgradedAt > UPGRADE_WAIT_MAX_MS) this.upgradeWait = UPGRADE_STABLE_MS;
+    if (this.layer > 0 && now - this.stableSince >= this.upgradeWait) {
+      this.upgradedAt = now;
+      this.stableSince = now;
+      this.switchTo(this.layer - 1, "stable link");
+    }
+  }
+}
@@ -0,0 +1,285 @@
+// src/lib/recording.js
+// Encrypted session recordings. The recorder stores every frame envelope
+// exactly as it crossed the relay (header + IV + ciphertext, see frame.js),
+// so a recording is as opaque at rest as the live stream. Playback rebuilds
+// each frame's AAD from its header and the recorded session ID and decrypts
+// with keys the user supplies separately.
+//
+// File layout (integers big-endian):
+//   "SSREC" | version u8 | meta length u32 | meta (UTF-8 JSON)
+//   then per frame: time u32 (ms since start) | length u32 | frame envelope
+// meta: { sessionId, recordedBy, startedAt }
+
+import { decodeFrame, frameAad, FRAME_FLAG } from "./frame.js";
+import {
+  aesGcmDecrypt,
+  b64ToBytes,
+  importRawAesKey,
+  openKeyFile,
+  parseRawAesKeyB64,
+  sealKeyFile,
+} from "./crypto.js";
+
+export const RECORDING_VERSION = 1;
+export const RECORDING_MAX_BYTES = 512 * 1024 * 1024;
+const MAGIC = new TextEncoder().encode("SSREC");
+const FRAME_PREFIX = 8;
+
+// ---- Recording ----
+export class SessionRecorder {
+  constructor(session) {
+    this.session = session;
+    this.parts = [];
+    this.keys = new Map(); // epoch -> raw key (Base64) seen while recording
+    this.frames = 0;
+    this.bytes = 0;
+    this.startedAt = 0;
+    this.offs = [];
+  }
+
+  get recording() {
+    return this.offs.length > 0;
+  }
+
+  // keys: { [epoch]: base64 } for keys already in use (the session only
+  // reports raw keys when they change).
+  start({ keys = {} } = {}) {
+    if (this.recording) return;
+    const s = this.session;
+    this.startedAt = Date.now();
+    const meta = new TextEncoder().encode(
+      JSON.stringify({ sessionId: s.sessionId, recordedBy: s.clientId, startedAt: this.startedAt })
+    );
+    const head = new Uint8Array(MAGIC.byteLength + 5 + meta.byteLength);
+    head.set(MAGIC);
+    const view = new DataView(head.buffer);
+    view.setUint8(MAGIC.byteLength, RECORDING_VERSION);
+    view.setUint32(MAGIC.byteLength + 1, meta.byteLength);
+    head.set(meta, MAGIC.byteLength + 5);
+    this.parts = [head];
+    this.bytes = head.byteLength;
+    this.frames = 0;
+    this.keys = new Map(Object.entries(keys).filter(([, b64]) => b64));
+
+    this.offs = [
+      s.on("wire", ({ bytes }) => this.add(bytes)),
+      s.on("key", ({ epoch, rawB64 }) => rawB64 && this.keys.set(String(epoch), rawB64)),
+    ];
+  }
+
+  add(frame) {
+    if (this.bytes + FRAME_PREFIX + frame.byteLength > RECORDING_MAX_BYTES) {
+      this.session.log("⏺️ Recording size limit reached; stopped recording.");
+      this.offs.forEach((off) => off());
+      this.offs = [];
+      return;
+    }
+    const prefix = new Uint8Array(FRAME_PREFIX);
+    const view = new DataView(prefix.buffer);
+    view.setUint32(0, Date.now() - this.startedAt);
+    view.setUint32(4, frame.byteLength);
+    this.parts.push(prefix, frame.slice());
+    this.frames++;
+    this.bytes += FRAME_PREFIX + frame.byteLength;
+  }
+
+  // Returns { blob, keys } where keys is { [epoch]: base64 } for the keys
+  // that were seen (E2E keys received as wraps are not exportable).
+  stop() {
+    this.offs.forEach((off) => off());
+    this.offs = [];
+    const blob = new Blob(this.parts, { type: "application/octet-stream" });
+    this.parts = [];
+    return { blob, keys: Object.fromEntries(this.keys) };
+  }
+}
+
+// ---- Keys ----
+// Recording keys only leave the browser sealed under a passphrase: one key
+// file per epoch (crypto.js sealKeyFile), saved together as a JSON array.
+export async function sealRecordingKeys(keys, passphrase, { sessionId = null } = {}) {
+  const files = [];
+  for (const [epoch, b64] of Object.entries(keys)) {
+    files.push(await sealKeyFile(b64ToBytes(b64), passphrase, { sessionId, epoch: Number(epoch) }));
+  }
+  return files;
+}
+
+// input: the JSON from sealRecordingKeys (or a single session key file),
+// opened with `passphrase`, or one Base64 key used for every epoch.
+// Resolves Map(epoch -> CryptoKey), with "*" for the catch-all. Key files
+// made for another session than `sessionId` are refused.
+export async function importRecordingKeys(input, passphrase = "", { sessionId = null } = {}) {
+  const text = input.trim();
+  if (!/^[[{]/.test(text)) return new Map([["*", await importRawAesKey(parseRawAesKeyB64(text))]]);
+  let files;
+  try {
+    files = [].concat(JSON.parse(text));
+  } catch {
+    throw new Error("Not a key file");
+  }
+  const keys = new Map();
+  for (const file of files) {
+    const { rawKey, sessionId: owner, epoch } = await openKeyFile(file, passphrase);
+    if (sessionId && owner && owner !== sessionId) {
+      throw new Error(`Key file is for session "${owner}", not "${sessionId}"`);
+    }
+    keys.set(epoch, await importRawAesKey(rawKey));
+  }
+  if (!keys.size) throw new Error("Key file holds no keys");
+  return keys;
+}
+
+// ---- Playback ----
+// Throws on anything that is not a recording; stops at a truncated tail.
+export function parseRecording(buffer) {
+  const bytes = new Uint8Array(buffer);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  if (bytes.byteLength < MAGIC.byteLength + 5 || MAGIC.some((b, i) => bytes[i] !== b)) {
+    throw new Error("Not a session recording");
+  }
+  const version = view.getUint8(MAGIC.byteLength);
+  if (version !== RECORDING_VERSION) throw new Error(`Unsupported recording version ${version}`);
+  const metaLen = view.getUint32(MAGIC.byteLength + 1);
+  let off = MAGIC.byteLength + 5;
+  const meta = JSON.parse(new TextDecoder().decode(bytes.subarray(off, off + metaLen)));
+  off += metaLen;
+
+  const frames = [];
+  while (off + FRAME_PREFIX <= bytes.byteLength) {
+    const t = view.getUint32(off);
+    const len = view.getUint32(off + 4);
+    off += FRAME_PREFIX;
+    if (off + len > bytes.byteLength) break;
+    try {
+      frames.push({ t, ...decodeFrame(bytes.subarray(off, off + len)) });
+    } catch {
+      // skip frames this build cannot parse
+    }
+    off += len;
+  }
+  return { meta, frames, duration: frames.length ? frames[frames.length - 1].t : 0 };
+}
+
+// Emits through onFrame({ index, t, kind, flags, layer, counter, sender, data })
+// and onError({ index, frame, detail }); onReset() before a seek replays frames.
+// Video plays from one quality layer: `layer`, else the best one recorded.
+export class RecordingPlayer {
+  constructor(
+    recording,
+    keys,
+    { onFrame, onError = () => {}, onReset = () => {}, onPosition = () => {}, layer } = {}
+  ) {
+    this.rec = recording;
+    this.keys = keys;
+    this.layer =
+      layer ?? recording.frames.reduce((best, f) => (f.kind === "video" ? Math.min(best, f.layer) : best), 0xff);
+    this.callbacks = { onFrame, onError, onReset, onPosition };
+    this.index = 0; // next frame to emit
+    this.playing = false;
+    this.timer = null;
+    this.clockStart = 0; // performance.now() that maps to frames[index].t
+    this.run = 0; // bumped by pause/seek to cancel an emit loop in flight
+  }
+
+  get position() {
+    const f = this.rec.frames[Math.min(this.index, this.rec.frames.length - 1)];
+    return { index: this.index, t: f?.t ?? 0, counter: f?.counter ?? 0, sender: f?.sender ?? null };
+  }
+
+  // Client IDs that sent frames in this recording, the recording client first.
+  senders() {
+    return [...new Set([this.rec.meta.recordedBy, ...this.rec.frames.map((f) => f.sender)])].filter(Boolean);
+  }
+
+  // First frame at or after `ms`.
+  indexAtTime(ms) {
+    const i = this.rec.frames.findIndex((f) => f.t >= ms);
+    return i === -1 ? this.rec.frames.length : i;
+  }
+
+  // First frame from `sender` (default: the recording client) with a counter
+  // at or after `counter`. Counters are per sender, so one alone is ambiguous.
+  indexAtCounter(counter, sender = this.rec.meta.recordedBy) {
+    const i = this.rec.frames.findIndex((f) => f.sender === sender && f.counter >= counter);
+    return i === -1 ? this.rec.frames.length : i;
+  }
+
+  plays(f) {
+    return f.kind !== "video" || f.layer === this.layer;
+  }
+
+  async decrypt(index) {
+    const f = this.rec.frames[index];
+    if (!this.plays(f)) return;
+    const key = this.keys.get(f.epoch) || this.keys.get("*");
+    if (!key) {
+      this.callbacks.onError({ index, frame: f, detail: `no key for epoch ${f.epoch}` });
+      return;
+    }
+    try {
+      const data = await aesGcmDecrypt(key, f.ciphertext, f.iv, frameAad(f, this.rec.meta.sessionId));
+      const { t, kind, flags, layer, counter, sender } = f;
+      this.callbacks.onFrame({ index, t, kind, flags, layer, counter, sender, data });
+    } catch {
+      this.callbacks.onError({ index, frame: f, detail: "authentication failed (wrong key?)" });
+    }
+  }
+
+  // Replays chat up to `index` and video from the keyframe before it, so the
+  // view looks as it did at that moment; playback continues from there.
+  // Audio and files before `index` are skipped, not decrypted.
+  async seek(index) {
+    const wasPlaying = this.playing;
+    this.pause();
+    const run = this.run;
+    const frames = this.rec.frames;
+    index = Math.max(0, Math.min(index, frames.length));
+    let keyIndex = -1;
+    for (let i = index - 1; i >= 0; i--) {
+      if (frames[i].kind === "video" && this.plays(frames[i]) && frames[i].flags & FRAME_FLAG.KEYFRAME) {
+        keyIndex = i;
+        break;
+      }
+    }
+    this.callbacks.onReset();
+    for (let i = 0; i < index; i++) {
+      if (run !== this.run) return;
+      const f = frames[i];
+      if (f.kind === "chat" || (f.kind === "video" && keyIndex !== -1 && i >= keyIndex)) await this.decrypt(i);
+    }
+    this.index = index;
+    this.callbacks.onPosition(this.position);
+    if (wasPlaying) this.play();
+  }
+
+  play() {
+    if (this.playing || this.index >= this.rec.frames.length) return;
+    this.playing = true;
+    this.clockStart = performance.now() - this.rec.frames[this.index].t;
+    this.tick(this.run);
+  }
+
+  pause() {
+    this.playing = false;
+    this.run++;
+    clearTimeout(this.timer);
+  }
+
+  async tick(run) {
+    const frames = this.rec.frames;
+    while (run === this.run && this.index < frames.length) {
+      const due = this.clockStart + frames[this.index].t - performance.now();
+      if (due > 0) {
+        this.timer = setTimeout(() => this.tick(run), due);
+        return;
+      }
+      await this.decrypt(this.index);
+      if (run !== this.run) return;
+      this.index++;
+      this.callbacks.onPosition(this.position);
+    }
+    if (run === this.run) this.playing = false;
+    this.callbacks.onPosition(this.position);
+  }
+}
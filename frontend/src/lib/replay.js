@@ -0,0 +1,48 @@
+// src/lib/replay.js
+// Per-sender sliding-window replay detection (IPsec/DTLS style).
+// Each sender has a highest-seen counter plus a bitmap of the WINDOW counters
+// below it. Frames older than the window, or already seen inside it, are
+// rejected. Call check() before decrypting and commit() only after the GCM tag
+// verified, so forged frames can't advance the window.
+
+export const REPLAY_WINDOW = 256;
+
+export class ReplayWindow {
+  constructor(size = REPLAY_WINDOW) {
+    this.size = BigInt(size);
+    this.senders = new Map(); // sender -> { max: bigint, bits: bigint }
+  }
+
+  // Returns null if the counter is acceptable, otherwise a rejection reason.
+  check(sender, counter) {
+    const s = this.senders.get(sender);
+    if (!s) return null;
+    const n = BigInt(counter);
+    if (n > s.max) return null;
+    const age = s.max - n;
+    if (age >= this.size) return "too old";
+    if ((s.bits >> age) & 1n) return "replayed";
+    return null;
+  }
+
+  commit(sender, counter) {
+    const n = BigInt(counter);
+    const mask = (1n << this.size) - 1n;
+    const s = this.senders.get(sender);
+    if (!s) {
+      this.senders.set(sender, { max: n, bits: 1n });
+      return;
+    }
+    if (n > s.max) {
+      const shift = n - s.max;
+      s.bits = shift >= this.size ? 1n : ((s.bits << shift) | 1n) & mask;
+      s.max = n;
+    } else {
+      s.bits |= 1n << (s.max - n);
+    }
+  }
+
+  forget(sender) {
+    this.senders.delete(sender);
+  }
+}
@@ -0,0 +1,882 @@
+// src/lib/session.js
+// SecureSession: the client side of the streaming protocol, without any UI.
+// One instance is one client identity (clientId + ECDH key pair) that joins a
+// relay session, keeps the session key ring, and sends/receives encrypted
+// frames. The React app binds to it through src/hooks/useSecureSession.js;
+// bots and CLI clients use it directly. In Node 20+ pass a WebSocket
+// implementation (e.g. the `ws` package); WebCrypto and fetch are built in.
+//
+// Events (subscribe with on(type, fn), which returns an unsubscribe function):
+//   status    { status, attempt, retryInMs }   connection state changes
+//   open      { resumed }                      relay socket is up, hello sent
+//   close     { code, final, reason }          live socket dropped
+//   log       message                          human-readable progress line
+//   frame     { kind, flags, layer, epoch, counter, sender, data, decryptMs, cached }
+//                                              cached: replayed from the relay's late-join cache
+//   rejected  { reason: "replay" | "auth", frame, detail }
+//   chat      { text, from, name, insecure }   unencrypted relay chat; only
+//                                              delivered in permissive sessions
+//   key       { key, epoch, rawB64? }          current key changed (rawB64
+//                                              undefined = not exportable here)
+//   rotate    { epoch, reason }                this client rotated the key
+//   roster    { hostId, state, endsAt, locked, policy, peers }
+//                                              state: "waiting" | "live" | "host-away"
+//                                              (ends at endsAt unless the host returns);
+//                                              peers: id -> { ..., online }
+//   ended     { sessionId, reason }            "host-ended" | "host-left"; a 4010 close follows
+//   sessions  [{ sessionId, state, policy, locked, members, host, createdAt }]
+//   presence  { event, peer }                  single join/leave/role change
+//   identity  { id, peer, changed }            peer identity key seen
+//   role      role                             relay seated us as another role
+//   pong      { rtt, offset }                  reply to ping(); offset = relay clock
+//                                              minus local clock (see relayNow)
+//   control   msg                              every JSON control message, for
+//                                              protocols layered on top (chat.js)
+//   wire      { direction: "in" | "out", bytes } encrypted frame envelope exactly as
+//                                              sent/received (recording.js)
+
+import { ConnectionManager } from "./connection.js";
+import { FRAME_FLAG, decodeFrame, encodeFrame, frameAad } from "./frame.js";
+import { ReplayWindow } from "./replay.js";
+import {
+  FrameSealer,
+  KeyExhaustedError,
+  aesGcmDecrypt,
+  b64ToBytes,
+  bytesToB64,
+  exportEcdhPublic,
+  exportRawAesKey,
+  genAesKey,
+  genEcdhKeyPair,
+  importEcdhPublic,
+  importRawAesKey,
+  openKeyFile,
+  parseRawAesKeyB64,
+  safetyNumber,
+  sealKeyFile,
+  unwrapSessionKey,
+  wrapSessionKey,
+} from "./crypto.js";
+import { BACKEND_URL, authHeaders } from "./auth.js";
+
+export const RELAY_URL = "ws://localhost:8080/stream";
+export const KEY_GRACE_MS = 15000; // old key epochs keep decrypting this long after a rotation
+export const KEY_REFETCH_MS = 3000; // min gap between failed key refreshes, and between fetches for one epoch ahead
+export const ROTATE_CHECK_MS = 5000;
+export const E2E_KEY_WAIT_MS = 5000; // how long a viewer waits for the host's wrapped key
+const CLOCK_SAMPLES = 8; // recent pings considered for the relay clock offset
+
+// Relay close codes that end the session for this client (no reconnect)
+export const FINAL_CLOSE_CODES = {
+  4001: "Removed from the session by the host.",
+  4003: "Banned from this session.",
+  4004: "Session is locked by the host.",
+  4010: "The session has ended.",
+  4401: "Relay rejected the session token. Log out and sign in again.",
+};
+
+export class SecureSession {
+  constructor({
+    relayUrl = RELAY_URL,
+    keyServiceUrl = BACKEND_URL,
+    token = null,
+    clientId = crypto.randomUUID(),
+    name = null,
+    role = "viewer",
+    keyMode = "service", // "service": Java key server; "e2e": host key wrapped per viewer
+    autoRotateFrames = 0, // host: rotate after this many sent frames (0 = off)
+    autoRotateMinutes = 0, // host: rotate after this many minutes (0 = off)
+    policy = "strict", // host: security policy for a session this client creates
+    WebSocket,
+  } = {}) {
+    this.clientId = clientId;
+    this.sessionId = ""; // the session the socket is bound to (part of every AAD)
+    this.listeners = new Map();
+    Object.assign(this, {
+      relayUrl,
+      keyServiceUrl,
+      token,
+      name,
+      role,
+      keyMode,
+      autoRotateFrames,
+      autoRotateMinutes,
+      policy,
+    });
+
+    // Key ring: the newest epoch encrypts, older ones decrypt during the grace window.
+    this.keyRing = new Map(); // epoch -> CryptoKey
+    this.key = null;
+    this.epoch = 0;
+    this.rawKey = null; // raw bytes of the current key when known (key files)
+    this.sealer = null; // FrameSealer for the current epoch's key
+    this.epochStats = { startedAt: 0, frames: 0 };
+    this.keyFetch = null;
+    this.keyFetchFailedAt = 0;
+    this.aheadFetch = { epoch: -1, at: 0 }; // last refetch a next-epoch frame triggered
+    this.rotating = false;
+    this.rotateTimer = null;
+
+    // End-to-end mode
+    this.ecdh = null; // Promise<CryptoKeyPair>, this client's identity
+    this.viewerKeys = new Map(); // host: viewer clientId -> ECDH public key
+    this.hostRawKey = null; // host: raw bytes of the current key, for wrapping
+    this.keyWaiters = new Set(); // viewer: callbacks waiting on the next wrap
+
+    // Peers
+    this.identities = new Map(); // clientId -> { name, role, pub }
+    this.myPub = null;
+    this.roster = new Map(); // clientId -> { name, sub, role, rtt, joinedAt, online }
+    this.hostId = null;
+    this.locked = false;
+    this.sessionState = "waiting";
+    this.endsAt = null;
+    // The joined session's policy as the relay reports it; strict until told otherwise.
+    this.sessionPolicy = "strict";
+
+    // Frames
+    this.frameCounter = 0;
+    this.layer = 0; // video quality layer the relay forwards to us
+    // Late-join cache: asked for once per connection (and per layer switch)
+    // as soon as a key is loaded; cached frames are only taken while waiting.
+    this.caughtUp = false;
+    this.awaitingCache = false;
+    this.replay = new ReplayWindow();
+    this.rxChain = Promise.resolve();
+    this.rejected = { replay: 0, auth: 0 };
+
+    // Relay clock: offset from the lowest-RTT recent ping, so hosts and
+    // viewers can compare timestamps (health.js end-to-end latency).
+    this.clockOffset = 0;
+    this.clockSynced = false;
+    this.clockSamples = [];
+
+    this.live = false; // a socket is open (vs. retrying)
+    this.link = { status: "idle", attempt: 0, retryInMs: null };
+    this.conn = new ConnectionManager({
+      url: () =>
+        `${this.relayUrl}?id=${encodeURIComponent(this.sessionId)}&token=${encodeURIComponent(this.token || "")}`,
+      finalCodes: FINAL_CLOSE_CODES,
+      WebSocket,
+      onOpen: (ws, info) => this.onOpen(info),
+      onMessage: (ev) => this.onMessage(ev),
+      onClose: (ev, info) => this.onClose(ev, info),
+      onStatus: (next) => this.onStatus(next),
+      onError: (err) => this.log("Cannot open the relay socket: " + err.message),
+    });
+  }
+
+  // ---- Events ----
+  on(type, fn) {
+    if (!this.listeners.has(type)) this.listeners.set(type, new Set());
+    this.listeners.get(type).add(fn);
+    return () => this.listeners.get(type)?.delete(fn);
+  }
+
+  onFrame(fn) {
+    return this.on("frame", fn);
+  }
+
+  emit(type, data) {
+    this.listeners.get(type)?.forEach((fn) => fn(data));
+  }
+
+  log(message) {
+    this.emit("log", message);
+  }
+
+  // Options that may change while connected; `role` takes effect on the next hello.
+  configure(options) {
+    const minutes = this.autoRotateMinutes;
+    for (const [k, v] of Object.entries(options)) if (v !== undefined) this[k] = v;
+    if (this.autoRotateMinutes !== minutes) this.scheduleAutoRotate();
+  }
+
+  get connected() {
+    return this.conn.isOpen;
+  }
+
+  get bufferedAmount() {
+    return this.conn.bufferedAmount;
+  }
+
+  // The relay only accepts moderation, rotation and media from this connection.
+  get isHost() {
+    return this.connected && this.hostId === this.clientId;
+  }
+
+  // ---- Relay connection ----
+  connect(sessionId) {
+    if (!sessionId) throw new Error("Session ID required");
+    this.sessionId = sessionId;
+    this.sessionPolicy = "strict"; // until the relay's roster says otherwise
+    if (!this.rotateTimer) this.scheduleAutoRotate();
+    this.conn.connect();
+  }
+
+  // Stops reconnecting and closes the socket; connect() may be called again.
+  disconnect() {
+    this.conn.cancel();
+    this.live = false;
+    this.markRosterOffline();
+  }
+
+  // disconnect() plus timers; the instance stays usable.
+  close() {
+    this.disconnect();
+    clearInterval(this.rotateTimer);
+    this.rotateTimer = null;
+  }
+
+  sendControl(msg) {
+    return this.conn.send(JSON.stringify(msg));
+  }
+
+  ping() {
+    return this.sendControl({ type: "metric", ts: Date.now() });
+  }
+
+  // Viewer: switch the video quality layer the relay forwards. The relay
+  // resumes at the layer's next keyframe and asks the host for one.
+  setLayer(layer) {
+    if (layer === this.layer) return;
+    this.layer = layer;
+    this.sendControl({ type: "layer", layer });
+    this.log(`📶 Switched to video layer ${layer}.`);
+    this.caughtUp = false;
+    this.requestCatchUp();
+  }
+
+  // Viewer: ask the relay for the host's latest keyframe and the video after
+  // it, so playback starts now instead of at the next keyframe. Needs a key,
+  // otherwise the replay could not be decrypted; installKey retries.
+  requestCatchUp() {
+    if (this.caughtUp || this.role !== "viewer" || !this.live || this.keyRing.size === 0) return;
+    this.caughtUp = true;
+    this.awaitingCache = true;
+    this.sendControl({ type: "catch-up" });
+  }
+
+  // Queued behind the replayed frames, which are handled in order.
+  finishCatchUp(msg) {
+    this.awaitingCache = false;
+    if (msg.frames > 0) this.log(`⏩ Started from the relay's cache (${msg.frames} frames).`);
+  }
+
+  // Current time on the relay's clock (local clock until the first pong).
+  relayNow() {
+    return Date.now() + this.clockOffset;
+  }
+
+  onPong(msg) {
+    const now = Date.now();
+    if (typeof msg.ts !== "number" || typeof msg.now !== "number" || msg.ts > now) {
+      this.emit("pong", {});
+      return;
+    }
+    const rtt = now - msg.ts;
+    const offset = msg.now - (msg.ts + rtt / 2);
+    this.clockSamples = [...this.clockSamples.slice(-(CLOCK_SAMPLES - 1)), { rtt, offset }];
+    const best = this.clockSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+    this.clockOffset = Math.round(best.offset);
+    this.clockSynced = true;
+    this.emit("pong", { rtt, offset: this.clockOffset });
+  }
+
+  // Host only: ends the session for every member.
+  endSession() {
+    return this.sendControl({ type: "end" });
+  }
+
+  // Streamer logins only. Resolves the relay's list, or null without a reply.
+  listSessions(timeoutMs = 5000) {
+    if (!this.sendControl({ type: "list-sessions" })) return Promise.resolve(null);
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        off();
+        resolve(null);
+      }, timeoutMs);
+      const off = this.on("sessions", (list) => {
+        clearTimeout(timer);
+        off();
+        resolve(list);
+      });
+    });
+  }
+
+  onStatus(next) {
+    this.link = next;
+    this.emit("status", next);
+    if (next.status === "reconnecting" && next.retryInMs != null) {
+      this.log(`🔁 Reconnecting (attempt ${next.attempt}) in ${(next.retryInMs / 1000).toFixed(1)}s…`);
+    }
+    if (next.status === "offline") this.log("📴 Offline – waiting for the network to come back.");
+  }
+
+  onOpen({ resumed }) {
+    this.live = true;
+    this.log(`🔌 ${resumed ? "Reconnected" : "Connected"} to ${this.relayUrl}?id=${encodeURIComponent(this.sessionId)}`);
+    // Re-hello on every open: the relay rebuilds our roster entry from it.
+    this.sendControl({
+      type: "hello",
+      role: this.role,
+      sessionId: this.sessionId,
+      clientId: this.clientId,
+      name: this.name,
+      policy: this.policy,
+      layer: this.layer,
+    });
+    this.announceIdentity();
+    this.emit("open", { resumed });
+    if (this.role !== "viewer") return;
+    this.caughtUp = false;
+    this.requestCatchUp();
+    if (this.keyMode === "e2e" && this.keyRing.size === 0) {
+      this.requestKey();
+    } else if (resumed && this.keyRing.size > 0) {
+      // Rotation notices sent while we were away are lost; ask for the current epoch.
+      this.refreshKey();
+    }
+  }
+
+  // Also called for every failed retry; only a drop of a live socket is news.
+  onClose(ev, { final }) {
+    const wasOpen = this.live;
+    this.live = false;
+    this.markRosterOffline();
+    if (final) this.log(`⛔ ${FINAL_CLOSE_CODES[ev.code]}`);
+    else if (wasOpen) this.log("❌ Disconnected.");
+    if (final || wasOpen) this.emit("close", { code: ev.code, final, reason: FINAL_CLOSE_CODES[ev.code] || null });
+  }
+
+  onMessage(ev) {
+    // Text messages are JSON control traffic; binary messages are encrypted frames.
+    if (typeof ev.data === "string") {
+      try {
+        this.onControl(JSON.parse(ev.data));
+      } catch (err) {
+        this.log(`Control parse error: ${err?.message || err}`);
+      }
+      return;
+    }
+
+    let f;
+    try {
+      f = decodeFrame(ev.data);
+      this.emit("wire", { direction: "in", bytes: new Uint8Array(ev.data) });
+    } catch (err) {
+      this.log(`Frame parse error: ${err?.message || err}`);
+      return;
+    }
+
+    // Frames are handled one at a time so decoded media chunks stay in order.
+    this.rxChain = this.rxChain
+      .then(() => this.handleFrame(f))
+      .catch((err) => this.log(`Decrypt/parse error: ${err?.message || err}`));
+  }
+
+  onControl(msg) {
+    this.emit("control", msg);
+    if (msg.type === "pong") this.onPong(msg);
+    if (msg.type === "catch-up") this.rxChain = this.rxChain.then(() => this.finishCatchUp(msg));
+    if (msg.type === "chat") this.onPlainChat(msg);
+    if (msg.type === "rotate" && msg.epoch > this.epoch) {
+      this.log(`♻️ Host rotated to key epoch ${msg.epoch}.`);
+      this.refreshKey();
+    }
+    if (msg.type === "roster" || msg.type === "presence") this.onPresence(msg);
+    if (msg.type === "session-ended") {
+      this.log(`🏁 Stream ended: ${msg.reason === "host-left" ? "the host did not come back" : "the host ended it"}.`);
+      this.emit("ended", { sessionId: msg.sessionId, reason: msg.reason });
+    }
+    if (msg.type === "sessions") this.emit("sessions", msg.sessions);
+    if (msg.type === "error") {
+      this.log(`⛔ ${msg.message}`);
+      // The relay seated us as a viewer instead.
+      if (msg.code === "host-taken" || msg.code === "role-denied") {
+        this.role = "viewer";
+        this.emit("role", "viewer");
+      }
+    }
+    // `from` is the sending socket (the relay stamps it), so a peer can only
+    // publish its own key; name and role come from the relay's roster.
+    if (msg.type === "identity") {
+      const member = this.roster.get(msg.from);
+      if (member?.online) {
+        const isNew = !this.identities.has(msg.from);
+        this.notePeerIdentity(msg.from, msg.pub, { name: member.name, role: member.role });
+        // Answer broadcasts from newcomers so both sides know each other.
+        if (isNew && !msg.to) this.announceIdentity(msg.from);
+      }
+    }
+    if (msg.type === "key-request") {
+      this.onKeyRequest(msg).catch((err) => this.log(`Key wrap failed: ${err?.message || err}`));
+    }
+    if (msg.type === "key-wrap") {
+      this.onKeyWrap(msg).catch((err) => this.log(`Key unwrap failed: ${err?.message || err}`));
+    }
+  }
+
+  // Plaintext never touches the key ring, so nothing vouches for it; a strict
+  // session drops it even if the relay were to pass it on.
+  onPlainChat(msg) {
+    if (this.sessionPolicy !== "permissive") {
+      this.log("🛑 Dropped an unencrypted chat message (strict session).");
+      return;
+    }
+    this.emit("chat", { text: String(msg.text ?? ""), from: msg.from, name: msg.name, insecure: true });
+  }
+
+  // ---- Incoming encrypted frames ----
+  async handleFrame(f) {
+    if (this.keyRing.size === 0) {
+      this.log("🔐 Received frame but no AES key loaded.");
+      return;
+    }
+
+    // Cached replays are only taken while we wait for them, and only video;
+    // live video from the host is skipped then, as the replay includes it.
+    const cached = (f.flags & FRAME_FLAG.CACHED) !== 0;
+    if (cached && (f.kind !== "video" || !this.awaitingCache)) return;
+    if (!cached && this.awaitingCache && f.kind === "video" && f.sender === this.hostId) return;
+
+    // A cached frame may predate the replay window (other layers and files
+    // share the counter) but must not be one we already decrypted.
+    const replayed = this.replay.check(f.sender, f.counter);
+    if (replayed && !(cached && replayed === "too old")) {
+      if (!cached) this.reject("replay", f, replayed);
+      return;
+    }
+
+    let key = this.keyRing.get(f.epoch);
+    if (!key && f.epoch === this.epoch + 1) {
+      // Host rotated ahead of us: hold the queue until the new key arrives.
+      // The frame is not authenticated yet, so it may only trigger one fetch
+      // per epoch every KEY_REFETCH_MS (waiting on one in flight is fine),
+      // and epochs further ahead trigger none.
+      const ahead = this.aheadFetch;
+      if (this.keyFetch || ahead.epoch !== f.epoch || Date.now() - ahead.at >= KEY_REFETCH_MS) {
+        if (!this.keyFetch) this.aheadFetch = { epoch: f.epoch, at: Date.now() };
+        await this.refreshKey();
+        key = this.keyRing.get(f.epoch);
+      }
+    }
+    if (!key) {
+      this.log(`🔐 No key for epoch ${f.epoch}; dropped frame ${f.counter}.`);
+      return;
+    }
+
+    // Rebuild the AAD from the header we parsed; a re-labelled frame fails here.
+    const aad = frameAad(f, this.sessionId);
+    const t0 = performance.now();
+    let data;
+    try {
+      data = await aesGcmDecrypt(key, f.ciphertext, f.iv, aad);
+    } catch {
+      this.reject("auth", f, "authentication failed");
+      return;
+    }
+    const decryptMs = Math.round((performance.now() - t0) * 10) / 10;
+    if (!replayed) this.replay.commit(f.sender, f.counter);
+
+    const { kind, flags, layer, epoch, counter, sender } = f;
+    this.emit("frame", { kind, flags, layer, epoch, counter, sender, data, decryptMs, cached });
+  }
+
+  reject(reason, frame, detail) {
+    this.rejected = { ...this.rejected, [reason]: this.rejected[reason] + 1 };
+    this.log(`🛑 Rejected ${frame.kind} frame ${frame.counter} from ${frame.sender.slice(0, 8)}: ${detail}.`);
+    this.emit("rejected", { reason, frame, detail });
+  }
+
+  // ---- Encrypted frame send (chat + media) ----
+  // Resolves the frame counter, or false when there is no key or no open socket.
+  // layer: quality layer of a video frame (see media.js QUALITY_LAYERS).
+  async send(kind, plaintext, flags = 0, layer = 0) {
+    const epoch = this.epoch;
+    const sealer = this.sealer;
+    if (!sealer || !this.connected) return false;
+
+    const header = { kind, flags, layer, epoch, counter: ++this.frameCounter, sender: this.clientId };
+    const aad = frameAad(header, this.sessionId);
+    const { iv, ciphertext } = await sealer.seal(header.counter, plaintext, aad).catch((err) => {
+      if (err instanceof KeyExhaustedError) this.requestRotation("Key invocation limit reached");
+      throw err;
+    });
+
+    const wire = encodeFrame({ ...header, iv, ciphertext });
+    this.conn.send(wire.buffer);
+    this.emit("wire", { direction: "out", bytes: wire });
+    if (sealer.shouldRotate) this.requestRotation("Key nearing its invocation limit");
+
+    const stats = this.epochStats;
+    stats.frames++;
+    if (this.autoRotateFrames && stats.frames >= this.autoRotateFrames) {
+      this.rotate(`${this.autoRotateFrames} frames`);
+    }
+    return header.counter;
+  }
+
+  // ---- Key ring ----
+  // Older epochs stay decrypt-only for KEY_GRACE_MS after a switch so frames
+  // already in flight still open.
+  installKey(key, epoch, { rawB64 } = {}) {
+    const ring = this.keyRing;
+    const prev = this.epoch;
+    ring.set(epoch, key);
+    if (epoch < prev && ring.has(prev)) return; // late fetch of an older epoch
+
+    this.key = key;
+    this.epoch = epoch;
+    this.rawKey = rawB64 ? b64ToBytes(rawB64) : null;
+    this.epochStats = { startedAt: Date.now(), frames: 0 };
+    this.sealer = new FrameSealer(key);
+    if (prev !== epoch) {
+      setTimeout(() => {
+        if (this.epoch !== prev) ring.delete(prev);
+      }, KEY_GRACE_MS);
+    }
+    this.emit("key", { key, epoch, rawB64 });
+    if (!this.caughtUp) this.requestCatchUp();
+  }
+
+  // Local keys replace the key of the current epoch.
+  async generateKey() {
+    const key = await genAesKey(256);
+    const raw = await exportRawAesKey(key);
+    this.installKey(key, this.epoch, { rawB64: bytesToB64(raw) });
+    this.log("🔑 Locally generated AES-256-GCM key.");
+    return key;
+  }
+
+  async importKey(b64) {
+    const raw = parseRawAesKeyB64(b64);
+    const key = await importRawAesKey(raw);
+    this.installKey(key, this.epoch);
+    this.rawKey = raw;
+    this.log("🔓 Loaded AES key from Base64.");
+    return key;
+  }
+
+  // ---- Key files ----
+  // The current key sealed under a passphrase (crypto.js sealKeyFile), with
+  // the session ID and epoch it belongs to.
+  async exportKeyFile(passphrase, { sessionId = this.sessionId } = {}) {
+    if (!this.rawKey) throw new Error("No exportable key loaded (E2E keys stay in memory)");
+    const file = await sealKeyFile(this.rawKey, passphrase, { sessionId: sessionId || null, epoch: this.epoch });
+    this.log(`🔐 Exported key epoch ${this.epoch} as a passphrase-protected key file.`);
+    return file;
+  }
+
+  // Installs a key file's key under its epoch. A file made for another
+  // session is refused once this client has joined one.
+  async importKeyFile(file, passphrase) {
+    const { rawKey, sessionId, epoch, createdAt } = await openKeyFile(file, passphrase);
+    if (this.sessionId && sessionId && sessionId !== this.sessionId) {
+      throw new Error(`Key file is for session "${sessionId}", not "${this.sessionId}"`);
+    }
+    const key = await importRawAesKey(rawKey);
+    this.installKey(key, epoch, { rawB64: bytesToB64(rawKey) });
+    const made = new Date(createdAt).toLocaleString();
+    this.log(`🔓 Loaded AES key (epoch ${epoch}) from a key file made ${made}.`);
+    return { sessionId, epoch, createdAt };
+  }
+
+  // ---- Java key service ----
+  // POST {sessionId} and install the returned key under its epoch.
+  async loadServiceKey(path, sessionId = this.sessionId) {
+    const res = await fetch(`${this.keyServiceUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...authHeaders(this.token) },
+      body: JSON.stringify({ sessionId }),
+    });
+
+    const data = await res.json();
+    if (!data.aesKeyB64) {
+      throw new Error(data.error || `Backend did not return aesKeyB64 for ${path}`);
+    }
+
+    const key = await importRawAesKey(b64ToBytes(data.aesKeyB64));
+    const epoch = data.epoch ?? 0;
+    this.installKey(key, epoch, { rawB64: data.aesKeyB64 });
+    return epoch;
+  }
+
+  // Host: create (or fetch) the session key. Viewer: load the same key.
+  createKey(sessionId) {
+    return this.loadServiceKey("/api/session", sessionId);
+  }
+
+  joinKey(sessionId) {
+    return this.loadServiceKey("/api/join", sessionId);
+  }
+
+  // Host: have the key service refuse this login subject's /api/join calls.
+  async revokeServiceAccess(subject) {
+    const res = await fetch(`${this.keyServiceUrl}/api/revoke`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...authHeaders(this.token) },
+      body: JSON.stringify({ sessionId: this.sessionId, subject }),
+    });
+    const data = await res.json();
+    if (!data.revoked) throw new Error(data.error || "Backend did not confirm the revocation");
+  }
+
+  // Viewer: fetch the current key once, however many frames are waiting on it.
+  refreshKey() {
+    if (this.keyFetch) return this.keyFetch;
+    if (Date.now() - this.keyFetchFailedAt < KEY_REFETCH_MS) return Promise.resolve();
+
+    const fetchKey = this.keyMode === "e2e" ? this.waitForWrappedKey() : this.joinKey();
+    this.keyFetch = fetchKey
+      .then((epoch) => this.log(`🔄 Switched to key epoch ${epoch}.`))
+      .catch((err) => {
+        this.keyFetchFailedAt = Date.now();
+        this.log("Key refresh failed: " + err.message);
+      })
+      .finally(() => {
+        this.keyFetch = null;
+      });
+    return this.keyFetch;
+  }
+
+  // ---- End-to-end key agreement (ECDH P-256 + HKDF) ----
+  // The host wraps its locally generated key for each viewer that sent a
+  // key-request; the relay and key service only ever see public/wrapped keys.
+  getEcdhKeys() {
+    if (!this.ecdh) this.ecdh = genEcdhKeyPair();
+    return this.ecdh;
+  }
+
+  // Viewer: ask the host for a wrapped copy of the current key.
+  async requestKey() {
+    const { publicKey } = await this.getEcdhKeys();
+    const pub = await exportEcdhPublic(publicKey);
+    if (!this.sendControl({ type: "key-request", from: this.clientId, pub })) {
+      this.log("Not connected.");
+      return false;
+    }
+    this.log("🤝 Requested the session key from the host (ECDH).");
+    return true;
+  }
+
+  // Viewer: ask again and wait for the host's next wrap.
+  waitForWrappedKey() {
+    return new Promise((resolve, reject) => {
+      const done = () => {
+        clearTimeout(timer);
+        this.keyWaiters.delete(done);
+        resolve(this.epoch);
+      };
+      const timer = setTimeout(() => {
+        this.keyWaiters.delete(done);
+        reject(new Error("host did not send a wrapped key"));
+      }, E2E_KEY_WAIT_MS);
+      this.keyWaiters.add(done);
+      this.requestKey();
+    });
+  }
+
+  async sendWrappedKey(viewerId, viewerPub, raw, epoch) {
+    const { privateKey, publicKey } = await this.getEcdhKeys();
+    const context = { sessionId: this.sessionId, epoch, hostId: this.clientId, viewerId };
+    const wrapped = await wrapSessionKey(raw, privateKey, viewerPub, context);
+    this.sendControl({
+      type: "key-wrap",
+      to: viewerId,
+      from: this.clientId,
+      pub: await exportEcdhPublic(publicKey),
+      epoch,
+      ...wrapped,
+    });
+  }
+
+  // Host: new local key under `epoch`, wrapped for every viewer seen so far.
+  async createE2eKey(epoch = this.epoch) {
+    const key = await genAesKey(256);
+    const raw = await exportRawAesKey(key);
+    this.hostRawKey = raw;
+    this.installKey(key, epoch, { rawB64: bytesToB64(raw) });
+    await Promise.all(
+      [...this.viewerKeys].map(([id, pub]) => this.sendWrappedKey(id, pub, raw, epoch))
+    );
+    return epoch;
+  }
+
+  async onKeyRequest(msg) {
+    this.notePeerIdentity(msg.from, msg.pub);
+    if (this.role !== "host" || this.keyMode !== "e2e") return;
+    const pub = await importEcdhPublic(msg.pub);
+    this.viewerKeys.set(msg.from, pub);
+    if (!this.hostRawKey) {
+      this.log(`🤝 Key request from ${msg.from.slice(0, 8)}; create the E2E key to answer it.`);
+      return;
+    }
+    await this.sendWrappedKey(msg.from, pub, this.hostRawKey, this.epoch);
+    this.log(`🤝 Wrapped session key for viewer ${msg.from.slice(0, 8)}.`);
+  }
+
+  async onKeyWrap(msg) {
+    if (msg.to !== this.clientId || this.keyMode !== "e2e") return;
+    // `from` is stamped by the relay; only the seated host hands out keys.
+    if (!this.hostId || msg.from !== this.hostId) {
+      this.log(`🛑 Ignored a wrapped key from ${String(msg.from).slice(0, 8)}: not the session host.`);
+      return;
+    }
+    this.notePeerIdentity(msg.from, msg.pub);
+    const { privateKey } = await this.getEcdhKeys();
+    const hostPub = await importEcdhPublic(msg.pub);
+    const context = {
+      sessionId: this.sessionId,
+      epoch: msg.epoch,
+      hostId: msg.from,
+      viewerId: this.clientId,
+    };
+    const key = await unwrapSessionKey(msg, privateKey, hostPub, context);
+    this.installKey(key, msg.epoch, { rawB64: "" }); // unwrapped keys are non-extractable
+    this.keyWaiters.forEach((done) => done());
+    this.log(`🔓 Unwrapped end-to-end session key (epoch ${msg.epoch}).`);
+  }
+
+  // ---- Rotation ----
+  // Host: new key under the next epoch, then tell viewers to fetch it.
+  async rotate(reason = "manual") {
+    if (this.rotating) return;
+    this.rotating = true;
+    try {
+      const epoch =
+        this.keyMode === "e2e" ? await this.createE2eKey(this.epoch + 1) : await this.loadServiceKey("/api/rotate");
+      this.sendControl({ type: "rotate", epoch, reason });
+      this.log(`♻️ Rotated to key epoch ${epoch} (${reason}).`);
+      this.emit("rotate", { epoch, reason });
+    } catch (err) {
+      // Back off until the next threshold instead of retrying every frame.
+      this.epochStats = { startedAt: Date.now(), frames: 0 };
+      this.log("Key rotation failed: " + err.message);
+    } finally {
+      this.rotating = false;
+    }
+  }
+
+  // Host rotates; viewers can only ask the host to.
+  requestRotation(reason) {
+    if (this.role === "host") this.rotate(reason);
+    else this.log(`⚠️ ${reason}: ask the host to rotate the session key.`);
+  }
+
+  // Host: time-based auto-rotation (frame-based is checked on send).
+  scheduleAutoRotate() {
+    clearInterval(this.rotateTimer);
+    this.rotateTimer = null;
+    const minutes = this.autoRotateMinutes;
+    if (!minutes) return;
+    this.rotateTimer = setInterval(() => {
+      const { startedAt } = this.epochStats;
+      if (this.role === "host" && startedAt && Date.now() - startedAt >= minutes * 60000) {
+        this.rotate(`${minutes} min`);
+      }
+    }, ROTATE_CHECK_MS);
+  }
+
+  // ---- Roster / presence ----
+  // "roster" is a full snapshot from the relay; "presence" is a single change.
+  // Peers that leave stay listed as offline so the host sees who dropped.
+  onPresence(msg) {
+    if (msg.type === "roster") {
+      this.hostId = msg.hostId;
+      this.locked = msg.locked;
+      this.sessionState = msg.state;
+      this.endsAt = msg.endsAt;
+      this.sessionPolicy = msg.policy === "permissive" ? "permissive" : "strict";
+      for (const [id, p] of this.roster) if (p.online) this.roster.delete(id);
+      for (const p of msg.peers) this.roster.set(p.clientId, { ...p, online: true });
+      this.emitRoster();
+      return;
+    }
+
+    const { event, peer } = msg;
+    const label = peer.name || peer.clientId.slice(0, 8);
+    this.roster.set(peer.clientId, { ...peer, online: event !== "leave" });
+    this.emitRoster();
+    this.emit("presence", { event, peer });
+    if (event === "join") this.log(`👋 ${label} joined as ${peer.role}.`);
+    if (event === "leave") this.log(`👋 ${label} left.`);
+    if (event === "role") this.log(`🔁 ${label} is now ${peer.role}.`);
+  }
+
+  markRosterOffline() {
+    for (const [id, p] of this.roster) this.roster.set(id, { ...p, online: false });
+    this.emitRoster();
+  }
+
+  emitRoster() {
+    this.emit("roster", {
+      hostId: this.hostId,
+      state: this.sessionState,
+      endsAt: this.endsAt,
+      locked: this.locked,
+      policy: this.sessionPolicy,
+      peers: Object.fromEntries(this.roster),
+    });
+  }
+
+  // ---- Host moderation ----
+  moderate(action, target) {
+    if (!this.sendControl({ type: "moderate", action, target })) {
+      this.log("Not connected.");
+      return false;
+    }
+    const peer = target && this.roster.get(target);
+    const label = target ? peer?.name || target.slice(0, 8) : "session";
+    this.log(`🛡️ ${action} → ${label}`);
+
+    if (action === "kick" || action === "ban") {
+      // Stop wrapping keys for them and move everyone else to a new key. In
+      // service mode the key service must refuse them first, or they could
+      // fetch the new key from /api/join.
+      this.viewerKeys.delete(target);
+      if (action === "ban") {
+        this.log("⚠️ A ban holds their login name; viewers sign in without a password and can return under another. Lock the session to keep newcomers out.");
+      }
+      const revoked =
+        this.keyMode === "service" && peer?.sub
+          ? this.revokeServiceAccess(peer.sub).then(
+              () => this.log(`🔒 Key service will refuse ${label} for the rest of the session.`),
+              (err) => this.log(`⚠️ Could not revoke ${label} at the key service: ${err.message}`),
+            )
+          : Promise.resolve();
+      if (this.key) revoked.then(() => this.rotate(`removed ${label}`));
+    }
+    return true;
+  }
+
+  // ---- Peer identities + safety numbers ----
+  // Identity = this client's ECDH public key. Broadcast on connect, or sent to
+  // one peer (`to`) in reply to their announcement.
+  async announceIdentity(to) {
+    const { publicKey } = await this.getEcdhKeys();
+    const pub = await exportEcdhPublic(publicKey);
+    this.myPub = pub;
+    const msg = { type: "identity", from: this.clientId, name: this.name, role: this.role, pub };
+    this.sendControl(to ? { ...msg, to } : msg);
+    return pub;
+  }
+
+  // `changed` is set when a known peer shows up with a different key.
+  notePeerIdentity(id, pub, info = {}) {
+    const known = this.identities.get(id);
+    const peer = { ...known, ...info, pub };
+    this.identities.set(id, peer);
+    const changed = !!known && known.pub !== pub;
+    if (changed) this.log(`⚠️ Identity key of ${peer.name || id.slice(0, 8)} changed — verify again.`);
+    this.emit("identity", { id, peer, changed });
+  }
+
+  // Digits to compare with one peer for the current session key.
+  async safetyNumberFor(peerId) {
+    const peer = this.identities.get(peerId);
+    if (!this.key || !peer) return null;
+    const pub = await exportEcdhPublic((await this.getEcdhKeys()).publicKey);
+    return safetyNumber(this.key, this.sessionId, { id: this.clientId, pub }, { id: peerId, pub: peer.pub });
+  }
+}
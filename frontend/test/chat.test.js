@@ -0,0 +1,55 @@
+// test/chat.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { SecureChat, encodeChat } from "../src/lib/chat.js";
+
+const HOST = "6f9619ff-8b86-4d11-b42d-00c04fc964ff";
+const VIEWER = "1b4e28ba-2fa1-41d2-883f-0016d3cca427";
+
+// Just enough of SecureSession for SecureChat.onFrame.
+function fakeSession() {
+  return {
+    clientId: "me",
+    hostId: HOST,
+    roster: new Map([
+      [HOST, { clientId: HOST, name: "alice", role: "host", online: true }],
+      [VIEWER, { clientId: VIEWER, name: "bob", role: "viewer", online: true }],
+    ]),
+    logs: [],
+    log(line) {
+      this.logs.push(line);
+    },
+    send: async () => 1,
+  };
+}
+
+function receive(chat, sender, payload) {
+  chat.onFrame({ kind: "chat", sender, flags: 0, data: encodeChat({ t: "msg", id: crypto.randomUUID(), ts: 1, text: "hi", ...payload }) });
+  return chat.messages.at(-1);
+}
+
+test("name and role come from the roster entry of the frame's sender", () => {
+  const chat = new SecureChat(fakeSession());
+  const m = receive(chat, HOST, { name: "alice", role: "host" });
+  assert.equal(m.name, "alice");
+  assert.equal(m.role, "host");
+  assert.equal(m.claimed, null);
+});
+
+test("a viewer claiming the host's name and crown is shown as itself and flagged", () => {
+  const session = fakeSession();
+  const chat = new SecureChat(session);
+  const m = receive(chat, VIEWER, { name: "alice", role: "host" });
+  assert.equal(m.name, "bob");
+  assert.equal(m.role, "viewer");
+  assert.deepEqual(m.claimed, { name: "alice", role: "host" });
+  assert.match(session.logs.at(-1), /claims to be alice \(host\)/);
+});
+
+test("a sender missing from the roster has no name or role", () => {
+  const chat = new SecureChat(fakeSession());
+  const m = receive(chat, "0e5b8f2a-9c1d-4e3f-8a7b-6c5d4e3f2a1b", { name: "carol", role: "viewer" });
+  assert.equal(m.name, null);
+  assert.equal(m.role, null);
+  assert.deepEqual(m.claimed, { name: "carol", role: "viewer" });
+});
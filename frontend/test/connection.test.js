@@ -0,0 +1,71 @@
+// test/connection.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ConnectionManager, RECONNECT_BASE_MS, RECONNECT_MAX_MS, backoffDelay } from "../src/lib/connection.js";
+
+function withRandom(value, fn) {
+  const random = Math.random;
+  Math.random = () => value;
+  try {
+    return fn();
+  } finally {
+    Math.random = random;
+  }
+}
+
+test("the delay never drops below half the base", () => {
+  for (const attempt of [1, 2, 10]) assert.equal(withRandom(0, () => backoffDelay(attempt)), RECONNECT_BASE_MS / 2);
+});
+
+test("the cap doubles per attempt up to the maximum", () => {
+  const top = (attempt) => withRandom(0.999999, () => backoffDelay(attempt));
+  assert.equal(top(1), RECONNECT_BASE_MS);
+  assert.equal(top(2), RECONNECT_BASE_MS * 2);
+  assert.equal(top(4), RECONNECT_BASE_MS * 8);
+  assert.equal(top(20), RECONNECT_MAX_MS);
+  assert.equal(top(1000), RECONNECT_MAX_MS);
+});
+
+test("random delays stay within the bounds", () => {
+  for (let attempt = 1; attempt <= 30; attempt++) {
+    const delay = backoffDelay(attempt, 100, 5000);
+    assert.ok(delay >= 50 && delay <= Math.min(5000, 100 * 2 ** (attempt - 1)), `attempt ${attempt}: ${delay}`);
+  }
+});
+
+test("a socket constructor that throws is reported and retried with backoff", async () => {
+  let attempts = 0;
+  class FlakySocket {
+    static CONNECTING = 0;
+    static OPEN = 1;
+    static CLOSING = 2;
+    constructor(url) {
+      if (++attempts === 1) throw new SyntaxError(`Invalid URL: ${url}`);
+      this.readyState = FlakySocket.CONNECTING;
+      setTimeout(() => {
+        this.readyState = FlakySocket.OPEN;
+        this.onopen();
+      });
+    }
+    close() {}
+  }
+  const errors = [];
+  const statuses = [];
+  const opened = new Promise((resolve) => {
+    const conn = new ConnectionManager({
+      url: () => "ws://relay.invalid/stream",
+      base: 10,
+      max: 20,
+      WebSocket: FlakySocket,
+      onError: (err) => errors.push(err.message),
+      onStatus: ({ status }) => statuses.push(status),
+      onOpen: () => resolve(conn),
+    });
+    conn.connect();
+  });
+  const conn = await opened;
+  assert.equal(attempts, 2);
+  assert.deepEqual(errors, ["Invalid URL: ws://relay.invalid/stream"]);
+  assert.deepEqual(statuses, ["connecting", "reconnecting", "reconnecting", "open"]);
+  conn.cancel();
+});
@@ -0,0 +1,92 @@
+// test/crypto.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  aesGcmDecrypt,
+  aesGcmEncrypt,
+  exportEcdhPublic,
+  exportRawAesKey,
+  genAesKey,
+  genEcdhKeyPair,
+  importEcdhPublic,
+  openKeyFile,
+  safetyNumber,
+  sealKeyFile,
+  unwrapSessionKey,
+  wrapSessionKey,
+} from "../src/lib/crypto.js";
+
+const PASSPHRASE = "correct horse battery";
+const IV = new Uint8Array(12);
+
+// Both keys open what the other sealed.
+async function sameKey(a, b) {
+  const sealed = await aesGcmEncrypt(a, Uint8Array.of(1, 2, 3), IV);
+  return aesGcmDecrypt(b, sealed, IV).then(() => true, () => false);
+}
+
+// ---- Key wrap (ECDH + HKDF) ----
+async function party() {
+  const { privateKey, publicKey } = await genEcdhKeyPair();
+  // peers see each other's public key only as Base64, as it crosses the relay
+  return { privateKey, pub: await importEcdhPublic(await exportEcdhPublic(publicKey)) };
+}
+
+test("a wrapped session key unwraps on the viewer's side to the same key", async () => {
+  const [host, viewer] = await Promise.all([party(), party()]);
+  const key = await genAesKey();
+  const context = { sessionId: "room-1", epoch: 2, hostId: "h", viewerId: "v" };
+  const wrapped = await wrapSessionKey(await exportRawAesKey(key), host.privateKey, viewer.pub, context);
+  const unwrapped = await unwrapSessionKey(wrapped, viewer.privateKey, host.pub, context);
+  assert.ok(await sameKey(key, unwrapped));
+});
+
+test("a wrap opens for no other session, epoch, viewer or private key", async () => {
+  const [host, viewer, other] = await Promise.all([party(), party(), party()]);
+  const context = { sessionId: "room-1", epoch: 2, hostId: "h", viewerId: "v" };
+  const wrapped = await wrapSessionKey(await exportRawAesKey(await genAesKey()), host.privateKey, viewer.pub, context);
+  for (const changed of [{ sessionId: "room-2" }, { epoch: 3 }, { viewerId: "w" }, { hostId: "g" }]) {
+    await assert.rejects(unwrapSessionKey(wrapped, viewer.privateKey, host.pub, { ...context, ...changed }));
+  }
+  await assert.rejects(unwrapSessionKey(wrapped, other.privateKey, host.pub, context));
+});
+
+// ---- Key files ----
+test("a key file opens with its passphrase and keeps its metadata", async () => {
+  const raw = await exportRawAesKey(await genAesKey());
+  const file = await sealKeyFile(raw, PASSPHRASE, { sessionId: "room-1", epoch: 4, createdAt: 1700000000000 });
+  assert.ok(!JSON.stringify(file).includes(Buffer.from(raw).toString("base64")));
+  const opened = await openKeyFile(JSON.parse(JSON.stringify(file)), PASSPHRASE);
+  assert.deepEqual([...opened.rawKey], [...raw]);
+  assert.deepEqual({ ...opened, rawKey: null }, { rawKey: null, sessionId: "room-1", epoch: 4, createdAt: 1700000000000 });
+});
+
+test("a key file refuses a wrong passphrase and any edit", async () => {
+  const file = await sealKeyFile(await exportRawAesKey(await genAesKey()), PASSPHRASE, { sessionId: "room-1", epoch: 4 });
+  const modified = /Wrong passphrase, or the key file was modified/;
+  await assert.rejects(openKeyFile(file, "not the passphrase"), modified);
+  await assert.rejects(openKeyFile({ ...file, epoch: 5 }, PASSPHRASE), modified);
+  await assert.rejects(openKeyFile({ ...file, sessionId: "room-2" }, PASSPHRASE), modified);
+  const key = Buffer.from(file.key, "base64");
+  key[0] ^= 1;
+  await assert.rejects(openKeyFile({ ...file, key: key.toString("base64") }, PASSPHRASE), modified);
+  await assert.rejects(openKeyFile({ ...file, iv: "AAAA" }, PASSPHRASE), /damaged/);
+  await assert.rejects(openKeyFile({ ...file, format: "other" }, PASSPHRASE), /Not a key file/);
+  await assert.rejects(sealKeyFile(new Uint8Array(32), "short"), /at least/);
+});
+
+// ---- Safety numbers ----
+test("both sides of a pair get the same safety number, and a new key changes it", async () => {
+  const a = { id: "alice", pub: await exportEcdhPublic((await genEcdhKeyPair()).publicKey) };
+  const b = { id: "bob", pub: await exportEcdhPublic((await genEcdhKeyPair()).publicKey) };
+  const key = await genAesKey();
+  const number = await safetyNumber(key, "room-1", a, b);
+  assert.match(number, /^(\d{5} ){5}\d{5}$/);
+  assert.equal(await safetyNumber(key, "room-1", b, a), number);
+
+  // a rotation (next epoch's key), another session or a swapped identity key all show
+  assert.notEqual(await safetyNumber(await genAesKey(), "room-1", a, b), number);
+  assert.notEqual(await safetyNumber(key, "room-2", a, b), number);
+  const swapped = { ...b, pub: await exportEcdhPublic((await genEcdhKeyPair()).publicKey) };
+  assert.notEqual(await safetyNumber(key, "room-1", a, swapped), number);
+});
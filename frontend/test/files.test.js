@@ -0,0 +1,87 @@
+// test/files.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { FILE_CHUNK_BYTES, SecureFileShare, decodeFilePayload } from "../src/lib/files.js";
+
+// Stands in for SecureSession: send() records the plaintext of each "file" frame.
+function fakeSession() {
+  return {
+    clientId: crypto.randomUUID(),
+    connected: true,
+    bufferedAmount: 0,
+    logs: [],
+    sent: [],
+    log(line) {
+      this.logs.push(line);
+    },
+    onFrame: () => () => {},
+    async send(kind, data) {
+      this.sent.push({ kind, sender: this.clientId, data });
+      return this.sent.length;
+    },
+  };
+}
+
+// Shares `bytes` from a fresh sender; resolves the frames it sent.
+async function shared(bytes) {
+  const sender = fakeSession();
+  const file = {
+    name: "notes.bin",
+    type: "application/octet-stream",
+    size: bytes.byteLength,
+    arrayBuffer: async () => bytes.buffer,
+  };
+  assert.equal(await new SecureFileShare(sender).share(file), true);
+  return sender.sent;
+}
+
+// Feeds `frames` to a new receiver; resolves its transfer once it settles.
+function received(frames) {
+  const receiver = new SecureFileShare(fakeSession());
+  const settled = new Promise((resolve) =>
+    receiver.subscribe(([t]) => t && !["receiving", "verifying"].includes(t.status) && resolve(t))
+  );
+  frames.forEach((f) => receiver.onFrame(f));
+  return settled;
+}
+
+const fileOf = (size) => Uint8Array.from({ length: size }, (_, i) => (i * 7) % 251);
+
+test("a file travels as a manifest and fixed-size chunks, and verifies on arrival", async () => {
+  const bytes = fileOf(2 * FILE_CHUNK_BYTES + 100);
+  const frames = await shared(bytes);
+  const payloads = frames.map((f) => decodeFilePayload(f.data));
+  assert.deepEqual(payloads.map((p) => p.type), ["manifest", "chunk", "chunk", "chunk"]);
+  assert.deepEqual(payloads.slice(1).map((p) => [p.index, p.data.byteLength]), [
+    [0, FILE_CHUNK_BYTES],
+    [1, FILE_CHUNK_BYTES],
+    [2, 100],
+  ]);
+
+  const t = await received(frames);
+  assert.equal(t.status, "verified");
+  assert.equal(t.name, "notes.bin");
+  assert.deepEqual(new Uint8Array(await t.blob.arrayBuffer()), bytes);
+});
+
+test("a chunk with altered bytes fails the hash check", async () => {
+  const frames = await shared(fileOf(FILE_CHUNK_BYTES + 10));
+  const data = frames[2].data.slice();
+  data[data.length - 1] ^= 1;
+  const t = await received([frames[0], frames[1], { ...frames[2], data }]);
+  assert.equal(t.status, "corrupt");
+  assert.equal(t.blob, null);
+});
+
+test("a missing chunk fails the transfer; another sender's chunk is ignored", async () => {
+  const frames = await shared(fileOf(2 * FILE_CHUNK_BYTES));
+  assert.equal((await received([frames[0], frames[2]])).status, "failed");
+
+  // a chunk under another sender's ID is not counted toward the transfer
+  const receiver = new SecureFileShare(fakeSession());
+  receiver.onFrame(frames[0]);
+  receiver.onFrame({ ...frames[1], sender: crypto.randomUUID() });
+  const [t] = receiver.transfers;
+  assert.equal(t.bytes, 0);
+  assert.equal(t.status, "receiving");
+});
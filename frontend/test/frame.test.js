@@ -0,0 +1,63 @@
+// test/frame.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { aesGcmDecrypt, aesGcmEncrypt, genAesKey } from "../src/lib/crypto.js";
+import { FRAME_FLAG, FRAME_HEADER_BYTES, decodeFrame, encodeFrame, frameAad } from "../src/lib/frame.js";
+
+const SENDER = "6f9619ff-8b86-4d11-b42d-00c04fc964ff";
+const SESSION = "room-1";
+
+async function sealed(header, plaintext) {
+  const key = await genAesKey();
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await aesGcmEncrypt(key, plaintext, iv, frameAad(header, SESSION));
+  return { key, bytes: encodeFrame({ ...header, iv, ciphertext }) };
+}
+
+test("header fields survive an encode/decode round trip", () => {
+  const header = { kind: "video", flags: FRAME_FLAG.KEYFRAME, layer: 2, epoch: 7, counter: 2 ** 40 + 3, sender: SENDER };
+  const iv = new Uint8Array(12).fill(9);
+  const ciphertext = new Uint8Array([1, 2, 3]);
+  const f = decodeFrame(encodeFrame({ ...header, iv, ciphertext }));
+  assert.deepEqual({ kind: f.kind, flags: f.flags, layer: f.layer, epoch: f.epoch, counter: f.counter, sender: f.sender }, header);
+  assert.deepEqual([...f.iv], [...iv]);
+  assert.deepEqual([...f.ciphertext], [...ciphertext]);
+});
+
+test("a sealed frame opens with the AAD rebuilt from its header", async () => {
+  const plaintext = new TextEncoder().encode("hello");
+  const { key, bytes } = await sealed({ kind: "chat", epoch: 1, counter: 5, sender: SENDER }, plaintext);
+  const f = decodeFrame(bytes);
+  const opened = await aesGcmDecrypt(key, f.ciphertext, f.iv, frameAad(f, SESSION));
+  assert.equal(new TextDecoder().decode(opened), "hello");
+});
+
+test("a re-labelled header or another session fails authentication", async () => {
+  const { key, bytes } = await sealed({ kind: "chat", epoch: 1, counter: 5, sender: SENDER }, new Uint8Array([42]));
+  const open = (data, sessionId = SESSION) => {
+    const f = decodeFrame(data);
+    return aesGcmDecrypt(key, f.ciphertext, f.iv, frameAad(f, sessionId));
+  };
+  for (const [offset, value] of [[1, 3], [4 + 3, 2], [8 + 7, 6], [16, 0]]) {
+    const tampered = bytes.slice();
+    tampered[offset] = value;
+    await assert.rejects(open(tampered), undefined, `byte ${offset}`);
+  }
+  await assert.rejects(open(bytes, "room-2"));
+});
+
+test("the relay's cached flag is outside the AAD", async () => {
+  const { key, bytes } = await sealed({ kind: "video", epoch: 1, counter: 1, sender: SENDER }, new Uint8Array([1]));
+  const relayed = bytes.slice();
+  relayed[2] |= FRAME_FLAG.CACHED;
+  const f = decodeFrame(relayed);
+  assert.equal(f.flags & FRAME_FLAG.CACHED, FRAME_FLAG.CACHED);
+  await aesGcmDecrypt(key, f.ciphertext, f.iv, frameAad(f, SESSION));
+});
+
+test("malformed frames are refused", () => {
+  assert.throws(() => decodeFrame(new Uint8Array(FRAME_HEADER_BYTES - 1)), /Truncated/);
+  const bytes = encodeFrame({ kind: "chat", counter: 0, sender: SENDER, iv: new Uint8Array(12), ciphertext: new Uint8Array(0) });
+  assert.throws(() => decodeFrame(Uint8Array.of(9, ...bytes.subarray(1))), /version/);
+  assert.throws(() => decodeFrame(Uint8Array.of(bytes[0], 99, ...bytes.subarray(2))), /kind/);
+});
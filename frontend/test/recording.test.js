@@ -0,0 +1,88 @@
+// test/recording.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import {
+  aesGcmDecrypt,
+  aesGcmEncrypt,
+  b64ToBytes,
+  bytesToB64,
+  exportRawAesKey,
+  genAesKey,
+  importRawAesKey,
+} from "../src/lib/crypto.js";
+import { FRAME_FLAG, frameAad } from "../src/lib/frame.js";
+import { importRecordingKeys, RecordingPlayer, sealRecordingKeys } from "../src/lib/recording.js";
+
+const PASSPHRASE = "correct horse battery";
+
+async function rawB64() {
+  return bytesToB64(await exportRawAesKey(await genAesKey()));
+}
+
+test("sealed recording keys open with the passphrase, one per epoch", async () => {
+  const keys = { 1: await rawB64(), 2: await rawB64() };
+  const files = await sealRecordingKeys(keys, PASSPHRASE, { sessionId: "room-1" });
+  assert.equal(files.length, 2);
+  assert.ok(!JSON.stringify(files).includes(keys[1]));
+
+  const opened = await importRecordingKeys(JSON.stringify(files), PASSPHRASE, { sessionId: "room-1" });
+  assert.deepEqual([...opened.keys()].sort(), [1, 2]);
+  // imported keys are not extractable: check they open what the originals sealed
+  const iv = new Uint8Array(12);
+  for (const [epoch, key] of opened) {
+    const sealed = await aesGcmEncrypt(await importRawAesKey(b64ToBytes(keys[epoch])), Uint8Array.of(epoch), iv);
+    assert.deepEqual([...(await aesGcmDecrypt(key, sealed, iv))], [epoch]);
+  }
+});
+
+test("a wrong passphrase, another session or a plain key map is refused", async () => {
+  const text = JSON.stringify(await sealRecordingKeys({ 3: await rawB64() }, PASSPHRASE, { sessionId: "room-1" }));
+  await assert.rejects(importRecordingKeys(text, "not the passphrase"), /Wrong passphrase/);
+  await assert.rejects(importRecordingKeys(text, PASSPHRASE, { sessionId: "room-2" }), /another session|not "room-2"/);
+  await assert.rejects(importRecordingKeys(JSON.stringify({ 3: await rawB64() }), PASSPHRASE), /Not a key file/);
+});
+
+test("a single Base64 key covers every epoch", async () => {
+  const keys = await importRecordingKeys(` ${await rawB64()} `);
+  assert.deepEqual([...keys.keys()], ["*"]);
+  await assert.rejects(importRecordingKeys("not-a-key"), /Base64/);
+});
+
+// A recording of `kinds` (one frame each, 10 ms apart) from one sender,
+// sealed under `key` as epoch 1.
+async function recordingOf(key, kinds) {
+  const meta = { sessionId: "room-1", recordedBy: crypto.randomUUID() };
+  const frames = [];
+  for (const [i, spec] of kinds.entries()) {
+    const [kind, flags = 0] = spec.split("+").map((part, n) => (n ? FRAME_FLAG[part] : part));
+    const f = { t: i * 10, kind, flags, layer: 0, epoch: 1, counter: i + 1, sender: meta.recordedBy };
+    f.iv = crypto.getRandomValues(new Uint8Array(12));
+    f.ciphertext = await aesGcmEncrypt(key, Uint8Array.of(i), f.iv, frameAad(f, meta.sessionId));
+    frames.push(f);
+  }
+  return { meta, frames, duration: frames[frames.length - 1].t };
+}
+
+test("seek replays chat and video from the last keyframe, not audio or files", async () => {
+  const key = await genAesKey();
+  const rec = await recordingOf(key, [
+    "video+KEYFRAME", "chat", "audio", "video", "file", "video+KEYFRAME", "audio", "video", "chat", "video",
+  ]);
+  const shown = [];
+  const player = new RecordingPlayer(rec, new Map([[1, key]]), { onFrame: (f) => shown.push(f.index) });
+  await player.seek(9);
+  assert.deepEqual(shown, [1, 5, 7, 8]);
+  assert.equal(player.position.index, 9);
+});
+
+test("a frame counter is looked up in one sender's frames", async () => {
+  const key = await genAesKey();
+  const rec = await recordingOf(key, ["chat", "chat", "chat"]);
+  const other = crypto.randomUUID();
+  rec.frames[1] = { ...rec.frames[1], sender: other, counter: 7 };
+  const player = new RecordingPlayer(rec, new Map([[1, key]]));
+  assert.deepEqual(player.senders(), [rec.meta.recordedBy, other]);
+  assert.equal(player.indexAtCounter(3), 2);
+  assert.equal(player.indexAtCounter(3, other), 1);
+  assert.equal(player.indexAtCounter(8, other), 3);
+});
@@ -0,0 +1,47 @@
+// test/replay.test.js
+import test from "node:test";
+import assert from "node:assert/strict";
+import { ReplayWindow } from "../src/lib/replay.js";
+
+const A = "sender-a";
+const B = "sender-b";
+
+function seen(win, sender, counter) {
+  const reason = win.check(sender, counter);
+  if (!reason) win.commit(sender, counter);
+  return reason;
+}
+
+test("new and in-window out-of-order counters are accepted once", () => {
+  const win = new ReplayWindow(8);
+  assert.equal(seen(win, A, 10), null);
+  assert.equal(seen(win, A, 12), null);
+  assert.equal(seen(win, A, 11), null);
+  assert.equal(seen(win, A, 11), "replayed");
+  assert.equal(seen(win, A, 12), "replayed");
+});
+
+test("counters that fell out of the window are too old", () => {
+  const win = new ReplayWindow(8);
+  seen(win, A, 20);
+  assert.equal(win.check(A, 13), null);
+  assert.equal(win.check(A, 12), "too old");
+  seen(win, A, 100); // a large jump clears the bitmap
+  assert.equal(win.check(A, 99), null);
+  assert.equal(win.check(A, 92), "too old");
+});
+
+test("senders have separate windows", () => {
+  const win = new ReplayWindow(8);
+  seen(win, A, 50);
+  assert.equal(seen(win, B, 1), null);
+  win.forget(A);
+  assert.equal(win.check(A, 1), null);
+});
+
+test("check alone does not advance the window", () => {
+  const win = new ReplayWindow(8);
+  seen(win, A, 1);
+  assert.equal(win.check(A, 1000), null);
+  assert.equal(win.check(A, 2), null);
+});
@@ -0,0 +1,369 @@
+// test/session.test.js
+// SecureSession against a real relay (ws-server.cjs on a free port).
+import test, { after, before } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createHmac } from "node:crypto";
+import { createServer } from "node:net";
+import { fileURLToPath } from "node:url";
+import WebSocket from "ws";
+import { genAesKey } from "../src/lib/crypto.js";
+import { encodeFrame } from "../src/lib/frame.js";
+import { SecureSession } from "../src/lib/session.js";
+
+const SECRET = "session-test-secret";
+const RELAY = fileURLToPath(new URL("../ws-server.cjs", import.meta.url));
+
+let relay;
+let relayUrl;
+let metricsUrl;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = createServer().listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+    srv.on("error", reject);
+  });
+}
+
+function token(name, role) {
+  const b64 = (o) => Buffer.from(JSON.stringify(o)).toString("base64url");
+  const body = `${b64({ alg: "HS256", typ: "JWT" })}.${b64({ sub: name, name, role, exp: Math.floor(Date.now() / 1000) + 600 })}`;
+  return `${body}.${createHmac("sha256", SECRET).update(body).digest("base64url")}`;
+}
+
+// Resolves once `ready()` holds, checked after every `type` event.
+function until(session, type, ready, ms = 3000) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      off();
+      reject(new Error(`Timed out waiting for ${type}`));
+    }, ms);
+    const off = session.on(type, (data) => {
+      if (!ready(data)) return;
+      clearTimeout(timer);
+      off();
+      resolve(data);
+    });
+  });
+}
+
+const sleep = (ms) => new Promise((r) => setTimeout(r, ms));
+
+before(async () => {
+  const port = await freePort();
+  relay = spawn(process.execPath, [RELAY, "--port", String(port), "--log-level", "error"], {
+    env: { ...process.env, AUTH_SECRET: SECRET },
+    stdio: ["ignore", "pipe", "inherit"],
+  });
+  relayUrl = `ws://localhost:${port}/stream`;
+  metricsUrl = `http://localhost:${port}/metrics`;
+  // wait for the relay to accept connections
+  for (let i = 0; i < 50; i++) {
+    const up = await fetch(`http://localhost:${port}/metrics`).then(() => true, () => false);
+    if (up) return;
+    await sleep(100);
+  }
+  throw new Error("Relay did not start");
+});
+
+after(() => {
+  relay?.kill();
+});
+
+async function joined(sessionId, key, options = {}) {
+  const make = (name, role, loginRole) =>
+    new SecureSession({ token: token(name, loginRole), role, name, WebSocket, relayUrl, ...options });
+  const host = make("alice", "host", "streamer");
+  const viewer = make("bob", "viewer", "viewer");
+  for (const s of [host, viewer]) s.installKey(key, 1);
+  const hostReady = until(host, "roster", () => host.isHost);
+  host.connect(sessionId);
+  await hostReady;
+  const bothIn = until(host, "roster", () => host.roster.has(viewer.clientId));
+  viewer.connect(sessionId);
+  await bothIn;
+  return { host, viewer };
+}
+
+test("an encrypted chat frame travels host -> viewer and back", async () => {
+  const { host, viewer } = await joined("test-chat", await genAesKey());
+  try {
+    const toViewer = until(viewer, "frame", (f) => f.kind === "chat");
+    assert.notEqual(await host.send("chat", new TextEncoder().encode("hi bob")), false);
+    const f = await toViewer;
+    assert.equal(f.sender, host.clientId);
+    assert.equal(new TextDecoder().decode(f.data), "hi bob");
+
+    const toHost = until(host, "frame", (f) => f.kind === "chat");
+    await viewer.send("chat", new TextEncoder().encode("hi alice"));
+    assert.equal(new TextDecoder().decode((await toHost).data), "hi alice");
+    assert.deepEqual(viewer.rejected, host.rejected);
+    assert.ok(Object.values(viewer.rejected).every((n) => n === 0));
+  } finally {
+    host.close();
+    viewer.close();
+  }
+});
+
+// A raw socket that joins `sessionId` as a viewer; `controls` collects the
+// JSON messages it receives.
+async function intruder(sessionId, clientId = crypto.randomUUID()) {
+  const ws = new WebSocket(`${relayUrl}?token=${token("mallory", "viewer")}`);
+  await new Promise((resolve, reject) => {
+    ws.once("open", resolve);
+    ws.once("error", reject);
+  });
+  ws.controls = [];
+  ws.on("message", (d, isBinary) => isBinary || ws.controls.push(JSON.parse(d)));
+  ws.hello = (msg) => ws.send(JSON.stringify({ type: "hello", role: "viewer", ...msg }));
+  ws.hello({ sessionId, clientId });
+  return ws;
+}
+
+// Resolves the close code `ws` ends with.
+const closed = (ws) => new Promise((resolve) => ws.once("close", (code) => resolve(code)));
+
+function forgedFrame(sender) {
+  return encodeFrame({
+    kind: "chat",
+    epoch: 1,
+    counter: 2 ** 40, // would push the sender's replay window far ahead
+    sender,
+    iv: new Uint8Array(12),
+    ciphertext: new Uint8Array(32),
+  });
+}
+
+// Sends the host's next chat frame; resolves the frames and rejections the
+// viewer saw up to and including it.
+async function afterHostChat(host, viewer) {
+  const seen = [];
+  const offs = [viewer.onFrame((f) => seen.push(f)), viewer.on("rejected", (r) => seen.push(r))];
+  const next = until(viewer, "frame", (f) => f.kind === "chat" && f.sender === host.clientId);
+  await host.send("chat", new TextEncoder().encode("still here"));
+  assert.equal(new TextDecoder().decode((await next).data), "still here");
+  offs.forEach((off) => off());
+  return seen;
+}
+
+test("the relay drops frames that name another sender", async () => {
+  const { host, viewer } = await joined("test-spoof", await genAesKey());
+  const mallory = await intruder("test-spoof");
+  try {
+    await until(host, "roster", () => host.roster.size === 3);
+    mallory.send(forgedFrame(host.clientId));
+    await sleep(200);
+    assert.ok(mallory.controls.some((m) => m.type === "error" && m.code === "forbidden"));
+    // the host's next frame is neither replayed nor too old
+    assert.equal((await afterHostChat(host, viewer)).length, 1);
+    assert.equal(viewer.rejected.replay, 0);
+  } finally {
+    mallory.close();
+    host.close();
+    viewer.close();
+  }
+});
+
+test("a socket that leaves its session sends nothing into it", async () => {
+  const { host, viewer } = await joined("test-leave", await genAesKey());
+  const id = crypto.randomUUID();
+  const mallory = await intruder("test-leave", id);
+  try {
+    await until(host, "roster", () => host.roster.get(id)?.online);
+    const gone = until(host, "roster", () => !host.roster.get(id)?.online);
+    mallory.hello({ sessionId: "" });
+    await gone;
+    mallory.send(forgedFrame(id));
+    mallory.send(JSON.stringify({ type: "note", text: "still in?" }));
+    await sleep(200);
+    assert.ok(mallory.controls.some((m) => m.type === "error" && m.code === "no-session"));
+    assert.equal((await afterHostChat(host, viewer)).length, 1);
+  } finally {
+    mallory.close();
+    host.close();
+    viewer.close();
+  }
+});
+
+test("a hello that binds nothing cannot take a member's client ID", async () => {
+  const { host, viewer } = await joined("test-borrow", await genAesKey());
+  const mallory = await intruder("test-borrow");
+  try {
+    await until(host, "roster", () => host.roster.size === 3);
+    // no session at all, then a join refused for the taken ID
+    mallory.hello({ sessionId: "", clientId: host.clientId });
+    mallory.send(forgedFrame(host.clientId));
+    mallory.hello({ sessionId: "test-borrow", clientId: host.clientId });
+    await sleep(200);
+    mallory.send(forgedFrame(host.clientId));
+    await sleep(200);
+    assert.ok(mallory.controls.some((m) => m.type === "error" && m.code === "id-taken"));
+    assert.equal((await afterHostChat(host, viewer)).length, 1);
+    assert.equal(viewer.rejected.replay, 0);
+    assert.ok(host.isHost);
+  } finally {
+    mallory.close();
+    host.close();
+    viewer.close();
+  }
+});
+
+test("a hello for a session that just ended neither fails nor reopens it", async () => {
+  const { host, viewer } = await joined("test-ended", await genAesKey());
+  const id = crypto.randomUUID();
+  const mallory = await intruder("test-ended", id);
+  const metric = async (name) => Number((await (await fetch(metricsUrl)).text()).match(new RegExp(`^${name} (\\d+)`, "m"))?.[1] ?? 0);
+  try {
+    await until(host, "roster", () => host.roster.get(id)?.online);
+    // Hold back the relay's close frame so the socket is still open when the hello arrives.
+    mallory._socket.pause();
+    host.endSession();
+    await sleep(200);
+    const created = await metric("relay_sessions_created_total");
+    mallory.hello({ sessionId: "test-ended", clientId: id });
+    mallory.send(forgedFrame(id));
+    await sleep(200);
+    mallory._socket.resume();
+    await sleep(200);
+    assert.deepEqual(mallory.controls.find((m) => m.type === "session-ended"), {
+      type: "session-ended",
+      sessionId: "test-ended",
+      reason: "host-ended",
+    });
+    assert.equal(await metric("relay_sessions_created_total"), created);
+    assert.doesNotMatch(await (await fetch(metricsUrl)).text(), /relay_errors_total\{type="control"\}/);
+  } finally {
+    mallory.close();
+    host.close();
+    viewer.close();
+  }
+});
+
+test("unauthenticated frames ahead of the key ring trigger at most one key fetch", async () => {
+  const viewer = new SecureSession({ token: token("bob", "viewer"), role: "viewer", name: "bob", WebSocket, relayUrl });
+  viewer.installKey(await genAesKey(), 1);
+  let fetches = 0;
+  viewer.refreshKey = async () => {
+    fetches++;
+  };
+  const sender = crypto.randomUUID();
+  const frame = (epoch, counter) => ({
+    kind: "chat",
+    flags: 0,
+    layer: 0,
+    epoch,
+    counter,
+    sender,
+    iv: new Uint8Array(12),
+    ciphertext: new Uint8Array(32),
+  });
+  for (let counter = 1; counter <= 5; counter++) await viewer.handleFrame(frame(2, counter));
+  assert.equal(fetches, 1);
+  await viewer.handleFrame(frame(9, 6));
+  assert.equal(fetches, 1);
+  viewer.close();
+});
+
+test("a kicked viewer is dropped but may rejoin; a banned login may not", async () => {
+  const { host, viewer } = await joined("test-kick", await genAesKey());
+  const id = crypto.randomUUID();
+  let mallory = await intruder("test-kick", id);
+  try {
+    await until(host, "roster", () => host.roster.get(id)?.online);
+    let code = closed(mallory);
+    host.moderate("kick", id);
+    assert.equal(await code, 4001);
+    assert.ok(mallory.controls.some((m) => m.type === "error" && m.code === "kicked"));
+
+    mallory = await intruder("test-kick", id);
+    await until(host, "roster", () => host.roster.get(id)?.online);
+    code = closed(mallory);
+    host.moderate("ban", id);
+    assert.equal(await code, 4003);
+
+    // same login under a new client ID
+    mallory = await intruder("test-kick");
+    assert.equal(await closed(mallory), 4003);
+    assert.ok(mallory.controls.some((m) => m.type === "error" && m.code === "banned"));
+    assert.ok(viewer.connected);
+  } finally {
+    mallory.close();
+    host.close();
+    viewer.close();
+  }
+});
+
+test("a locked session turns newcomers away until the host unlocks it", async () => {
+  const { host, viewer } = await joined("test-lock", await genAesKey());
+  let mallory;
+  try {
+    host.moderate("lock");
+    await until(host, "roster", () => host.locked);
+    mallory = await intruder("test-lock");
+    assert.equal(await closed(mallory), 4004);
+    assert.ok(mallory.controls.some((m) => m.type === "error" && m.code === "locked"));
+
+    host.moderate("unlock");
+    await until(host, "roster", () => !host.locked);
+    const id = crypto.randomUUID();
+    mallory = await intruder("test-lock", id);
+    await until(host, "roster", () => host.roster.get(id)?.online);
+    assert.ok(viewer.connected);
+  } finally {
+    mallory?.close();
+    host.close();
+    viewer.close();
+  }
+});
+
+test("only the host may moderate", async () => {
+  const { host, viewer } = await joined("test-mod", await genAesKey());
+  const mallory = await intruder("test-mod");
+  try {
+    await until(host, "roster", () => host.roster.size === 3);
+    mallory.send(JSON.stringify({ type: "moderate", action: "kick", target: viewer.clientId }));
+    mallory.send(JSON.stringify({ type: "moderate", action: "lock" }));
+    await sleep(200);
+    assert.equal(mallory.controls.filter((m) => m.type === "error" && m.code === "forbidden").length, 2);
+    assert.ok(viewer.connected);
+    assert.equal(host.locked, false);
+  } finally {
+    mallory.close();
+    host.close();
+    viewer.close();
+  }
+});
+
+test("plaintext chat is refused in a strict session and relayed as insecure in a permissive one", async () => {
+  for (const policy of ["strict", "permissive"]) {
+    const sessionId = `test-policy-${policy}`;
+    const { host, viewer } = await joined(sessionId, await genAesKey(), { policy });
+    const mallory = await intruder(sessionId);
+    const chats = [];
+    const off = viewer.on("chat", (c) => chats.push(c));
+    try {
+      await until(host, "roster", () => host.roster.size === 3);
+      assert.equal(viewer.sessionPolicy, policy);
+      mallory.send(JSON.stringify({ type: "chat", text: "psst" }));
+      await sleep(200);
+      const refused = mallory.controls.some((m) => m.type === "error" && m.code === "plaintext-refused");
+      if (policy === "strict") {
+        assert.ok(refused);
+        assert.deepEqual(chats, []);
+      } else {
+        assert.ok(!refused);
+        assert.equal(chats.length, 1);
+        assert.equal(chats[0].text, "psst");
+        assert.equal(chats[0].insecure, true);
+      }
+    } finally {
+      off();
+      mallory.close();
+      host.close();
+      viewer.close();
+    }
+  }
+});
@@ -1,83 +1,1060 @@
 // ws-server.js
 // Minimal WebSocket relay for Secure Streaming Platform
-// Listens on ws://localhost:8080/stream
+// Listens on ws://localhost:8080/stream (+ GET /metrics on the same port)
 
+const http = require("http");
 const WebSocket = require("ws");
+const { createHmac, randomUUID, timingSafeEqual } = require("crypto");
 
-const PORT = 8080;
+// ---- Config ----
+// Each option comes from a CLI flag (--max-payload 65536 or --max-payload=65536),
+// then its env var, then the default. `node ws-server.cjs --help` lists them.
+const OPTIONS = {
+  port: ["RELAY_PORT", 8080, "int", "HTTP + WebSocket port"],
+  path: ["RELAY_PATH", "/stream", "string", "WebSocket path"],
+  allowedOrigins: ["RELAY_ALLOWED_ORIGINS", "", "list", "comma-separated browser origins; empty allows any"],
+  logLevel: ["RELAY_LOG_LEVEL", "info", "string", "debug | info | warn | error"],
+  maxPayload: ["RELAY_MAX_PAYLOAD", 1024 * 1024, "int", "max message bytes; larger closes the socket (1009)"],
+  maxControl: ["RELAY_MAX_CONTROL", 16 * 1024, "int", "max JSON control message bytes"],
+  rateMsgs: ["RELAY_RATE_MSGS", 200, "int", "messages per second per connection (2 s burst)"],
+  rateBytes: ["RELAY_RATE_BYTES", 4 * 1024 * 1024, "int", "bytes per second per connection (2 s burst)"],
+  mediaHighWater: ["RELAY_MEDIA_HIGH_WATER", 1024 * 1024, "int", "queued bytes before video is dropped for a receiver"],
+  audioHighWater: ["RELAY_AUDIO_HIGH_WATER", 4 * 1024 * 1024, "int", "queued bytes before audio is dropped for a receiver"],
+  sendHighWater: ["RELAY_SEND_HIGH_WATER", 8 * 1024 * 1024, "int", "queued bytes before a receiver is disconnected"],
+  helloTimeoutMs: ["RELAY_HELLO_TIMEOUT_MS", 10000, "int", "connect -> hello deadline"],
+  idleTimeoutMs: ["RELAY_IDLE_TIMEOUT_MS", 60000, "int", "close sockets silent for this long"],
+  hostGraceMs: ["RELAY_HOST_GRACE_MS", 30000, "int", "how long a session outlives its host's disconnect"],
+  gopCacheBytes: ["RELAY_GOP_CACHE_BYTES", 4 * 1024 * 1024, "int", "per session and layer: last keyframe + later video kept for late joiners"],
+};
 
-const wss = new WebSocket.Server({ port: PORT, path: "/stream" });
+const flagName = (key) => key.replace(/[A-Z]/g, (c) => `-${c.toLowerCase()}`);
 
-console.log(`WebSocket relay listening on ws://localhost:${PORT}/stream`);
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)(?:=(.*))?$/.exec(argv[i]);
+    if (!m) throw new Error(`Unexpected argument: ${argv[i]}`);
+    flags[m[1]] = m[2] ?? (argv[i + 1] && !argv[i + 1].startsWith("--") ? argv[++i] : "true");
+  }
+  return flags;
+}
 
-wss.on("connection", (ws) => {
-  console.log("Client connected");
+function loadConfig(argv, env) {
+  const flags = parseFlags(argv);
+  const config = {};
+  for (const [key, [envName, fallback, type]] of Object.entries(OPTIONS)) {
+    const raw = flags[flagName(key)] ?? env[envName];
+    delete flags[flagName(key)];
+    if (raw === undefined || raw === "") {
+      config[key] = type === "list" ? [] : fallback;
+    } else if (type === "int") {
+      const n = Number(raw);
+      if (!Number.isInteger(n) || n <= 0) throw new Error(`--${flagName(key)} must be a positive integer`);
+      config[key] = n;
+    } else if (type === "list") {
+      config[key] = raw.split(",").map((s) => s.trim()).filter(Boolean);
+    } else {
+      config[key] = raw;
+    }
+  }
+  config.help = "help" in flags;
+  delete flags.help;
+  const unknown = Object.keys(flags);
+  if (unknown.length) throw new Error(`Unknown option: --${unknown[0]}`);
+  if (!(config.logLevel in LOG_LEVELS)) throw new Error(`Unknown log level: ${config.logLevel}`);
+  return config;
+}
 
-  ws.on("message", (data, isBinary) => {
-    let text;
-    try {
-      text = isBinary ? data.toString() : data.toString();
-    } catch {
-      text = null;
+function usage() {
+  const rows = Object.entries(OPTIONS).map(
+    ([key, [envName, fallback, , help]]) =>
+      `  --${flagName(key).padEnd(18)} ${envName.padEnd(24)} ${help} (default: ${fallback === "" ? "none" : fallback})`
+  );
+  return ["Usage: node ws-server.cjs [options]", "", "  flag                 env var", ...rows].join("\n");
+}
+
+// ---- Logging ----
+// One JSON object per line. Fields carry metadata only (ids, sizes, codes);
+// chat text and frame contents never reach the log.
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+let config;
+try {
+  config = loadConfig(process.argv.slice(2), process.env);
+} catch (err) {
+  console.error(`${err.message}\n\n${usage()}`);
+  process.exit(2);
+}
+if (config.help) {
+  console.log(usage());
+  process.exit(0);
+}
+
+function log(level, event, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[config.logLevel]) return;
+  const line = JSON.stringify({ ts: new Date().toISOString(), level, event, ...fields });
+  (LOG_LEVELS[level] >= LOG_LEVELS.warn ? process.stderr : process.stdout).write(line + "\n");
+}
+
+// ---- Metrics ----
+// Prometheus text format on GET /metrics.
+const METRICS = {
+  relay_connections_total: ["counter", "WebSocket upgrade attempts, by result"],
+  relay_connections_open: ["gauge", "Open WebSocket connections"],
+  relay_sessions_active: ["gauge", "Sessions currently open"],
+  relay_sessions_created_total: ["counter", "Sessions created"],
+  relay_sessions_ended_total: ["counter", "Sessions ended, by reason"],
+  relay_messages_received_total: ["counter", "Messages received from clients, by kind"],
+  relay_bytes_received_total: ["counter", "Bytes received from clients, by kind"],
+  relay_messages_forwarded_total: ["counter", "Messages sent to clients, by kind"],
+  relay_bytes_forwarded_total: ["counter", "Bytes sent to clients, by kind"],
+  relay_dropped_total: ["counter", "Messages dropped by the relay, by reason"],
+  relay_disconnects_total: ["counter", "Connections closed by the relay, by reason"],
+  relay_errors_total: ["counter", "Socket errors, by type"],
+  relay_catchups_total: ["counter", "Late-join cache requests, by result"],
+};
+const counters = new Map(); // metric -> Map(label string -> value)
+
+function count(metric, labels = {}, by = 1) {
+  const key = Object.entries(labels)
+    .map(([k, v]) => `${k}="${String(v).replace(/["\\\n]/g, "_")}"`)
+    .join(",");
+  if (!counters.has(metric)) counters.set(metric, new Map());
+  const values = counters.get(metric);
+  values.set(key, (values.get(key) || 0) + by);
+}
+
+function renderMetrics() {
+  const gauges = {
+    relay_connections_open: wss.clients.size,
+    relay_sessions_active: sessions.size,
+  };
+  const lines = [];
+  for (const [metric, [type, help]] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${metric} ${help}`, `# TYPE ${metric} ${type}`);
+    if (type === "gauge") {
+      lines.push(`${metric} ${gauges[metric]}`);
+      continue;
+    }
+    for (const [labels, value] of counters.get(metric) || []) {
+      lines.push(`${metric}${labels ? `{${labels}}` : ""} ${value}`);
     }
+  }
+  return lines.join("\n") + "\n";
+}
 
-    // Try to interpret JSON control messages
-    if (text) {
-      try {
-        const msg = JSON.parse(text);
+const HEARTBEAT_MS = 5000; // ping every client, push fresh rosters with RTTs
+// Must match the Java key service, which issues the tokens
+const AUTH_SECRET = process.env.AUTH_SECRET || "cis4634-dev-secret";
 
-        // latency ping -> pong
-        if (msg.type === "metric") {
-          ws.send(JSON.stringify({ type: "pong" }));
-          return;
-        }
+// ---- Limits ----
+const MAX_PAYLOAD_BYTES = config.maxPayload;
+const MAX_CONTROL_BYTES = config.maxControl;
+const RATE_MSGS_PER_SEC = config.rateMsgs;
+const RATE_BYTES_PER_SEC = config.rateBytes;
+// Receiver backpressure (bytes queued in the socket): above the media mark
+// video frames are dropped, above the audio mark audio too; above the hard
+// mark the receiver is cut off.
+const MEDIA_HIGH_WATER = config.mediaHighWater;
+const AUDIO_HIGH_WATER = config.audioHighWater;
+const SEND_HIGH_WATER = config.sendHighWater;
+const HELLO_TIMEOUT_MS = config.helloTimeoutMs;
+const IDLE_TIMEOUT_MS = config.idleTimeoutMs;
+const MAX_MISSED_PONGS = 3;
+const HOST_GRACE_MS = config.hostGraceMs;
+const GOP_CACHE_BYTES = config.gopCacheBytes;
+const GOP_CACHE_FRAMES = 300;
 
-        // hello message: just store some metadata (optional)
-        if (msg.type === "hello") {
-          ws.sessionId = msg.sessionId || null;
-          ws.role = msg.role || null;
-          console.log(
-            `HELLO from client: role=${ws.role} session=${ws.sessionId}`
-          );
-          return;
-        }
+const server = http.createServer((req, res) => {
+  if (req.method === "GET" && req.url === "/metrics") {
+    res.writeHead(200, { "Content-Type": "text/plain; version=0.0.4; charset=utf-8" });
+    res.end(renderMetrics());
+    return;
+  }
+  res.writeHead(404, { "Content-Type": "text/plain" });
+  res.end("Not found\n");
+});
+
+// Browsers always send Origin; other clients (bots, the CLI) may not.
+function verifyClient({ origin }) {
+  if (!config.allowedOrigins.length || !origin || config.allowedOrigins.includes(origin)) return true;
+  count("relay_connections_total", { result: "origin_rejected" });
+  log("warn", "origin_rejected", { origin });
+  return false;
+}
+
+const wss = new WebSocket.Server({
+  server,
+  path: config.path,
+  maxPayload: MAX_PAYLOAD_BYTES,
+  verifyClient,
+});
+
+server.listen(config.port, () => {
+  log("info", "listening", {
+    url: `ws://localhost:${config.port}${config.path}`,
+    metrics: `http://localhost:${config.port}/metrics`,
+  });
+});
+if (!process.env.AUTH_SECRET) {
+  log("warn", "dev_auth_secret", { message: "AUTH_SECRET not set, using the development secret" });
+}
+
+// ---- Auth ----
+// Clients connect with ?token=<HS256 JWT from POST /api/login>.
+// Returns the token claims ({ name, role, exp, ... }) or null.
+function verifyToken(token) {
+  const [header, payload, sig] = (token || "").split(".");
+  if (!sig) return null;
+  const expected = createHmac("sha256", AUTH_SECRET).update(`${header}.${payload}`).digest();
+  const actual = Buffer.from(sig, "base64url");
+  if (actual.length !== expected.length || !timingSafeEqual(actual, expected)) return null;
+  try {
+    const claims = JSON.parse(Buffer.from(payload, "base64url").toString());
+    return claims.exp * 1000 > Date.now() ? claims : null;
+  } catch {
+    return null;
+  }
+}
+
+// Who a socket logged in as (the token subject), for bans. Viewer logins
+// only pick a display name, so a banned viewer can come back under another.
+function loginSubject(ws) {
+  return String(ws.user.sub).toLowerCase();
+}
+
+// ---- Sessions ----
+// sessionId -> { members: Map(clientId -> ws), host: ws | null, hadHost,
+//                locked, policy, bannedIds: Set, bannedSubjects: Set,
+//                createdAt, endTimer, endsAt }
+// Lifecycle: the first hello for an id creates the session ("waiting" until
+// a host joins, then "live"). It ends when the host sends { type: "end" },
+// or HOST_GRACE_MS after the host disconnects ("host-away") unless a host
+// comes back; members get { type: "session-ended" } and a 4010 close. A
+// session that never had a host ends quietly once it is empty. Its bans,
+// lock and policy go with it.
+const sessions = new Map();
+
+// Close codes clients treat as final (no auto-reconnect)
+const CLOSE_KICKED = 4001;
+const CLOSE_BANNED = 4003;
+const CLOSE_LOCKED = 4004;
+const CLOSE_ENDED = 4010;
+const CLOSE_UNAUTHORIZED = 4401;
+
+// ---- Security policy ----
+// Picked by the streamer whose hello creates the session, fixed until it ends.
+// "strict": chat only travels as encrypted frames; plaintext chat is refused.
+// "permissive": plaintext {type:"chat"} is relayed, marked insecure.
+const SECURITY_POLICIES = new Set(["strict", "permissive"]);
+const DEFAULT_POLICY = "strict";
+
+// Frame kinds (byte 1 of the binary envelope) only the session host may send.
+// Must match FRAME_KIND / FRAME_FLAG in src/lib/frame.js.
+const HOST_ONLY_FRAME_KINDS = new Set([2, 3]); // video, file
+const MEDIA_FRAME_KINDS = new Set([2]); // droppable under backpressure
+const AUDIO_FRAME_KIND = 4; // host, and viewers the host lets talk
+const FRAME_FLAG_KEYFRAME = 0x01; // byte 2
+const FRAME_LAYER_BYTE = 3; // video quality layer, 0 = full quality
+const FRAME_FLAG_CACHED = 0x80; // set by the relay on late-join replays (not in the AAD)
+const MAX_LAYER = 2; // QUALITY_LAYERS in src/lib/media.js
+const FRAME_KIND_NAMES = { 1: "chat", 2: "video", 3: "file", 4: "audio" };
+
+// Metric label for a message: the frame kind for binary, else "control"
+function kindOf(data, isBinary) {
+  return isBinary ? FRAME_KIND_NAMES[data[1]] || "unknown" : "control";
+}
+
+// Sender client ID from the frame header (bytes 16..31), as a UUID string
+function frameSender(data) {
+  const hex = data.toString("hex", 16, 32);
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
+
+function drop(reason) {
+  count("relay_dropped_total", { reason });
+}
+
+// ---- Rate limiting ----
+class TokenBucket {
+  constructor(ratePerSec, burst = ratePerSec * 2) {
+    this.rate = ratePerSec;
+    this.burst = burst;
+    this.tokens = burst;
+    this.at = Date.now();
+  }
+
+  take(n = 1) {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.at) / 1000) * this.rate);
+    this.at = now;
+    if (this.tokens < n) return false;
+    this.tokens -= n;
+    return true;
+  }
+}
+
+// Over-limit messages are dropped; the sender hears about it at most once a second.
+function withinRate(ws, bytes) {
+  if (ws.msgBucket.take(1) && ws.byteBucket.take(bytes)) return true;
+  drop("rate_limited");
+  const now = Date.now();
+  if (now - (ws.rateWarnedAt || 0) > 1000) {
+    ws.rateWarnedAt = now;
+    sendError(ws, "rate-limited", "Too many messages; some were dropped.");
+  }
+  return false;
+}
+
+// ---- Backpressure ----
+// Everything the relay sends goes through here. Media frames are dropped for
+// a receiver that is falling behind, and after a drop its decoder needs a
+// keyframe, so later delta frames are skipped until one arrives. Audio is
+// small and each frame stands alone: it is only dropped at a higher mark, so
+// it keeps playing while video stalls. Chat and control messages are never
+// dropped; a receiver too far behind for them is disconnected (it reconnects
+// and resumes).
+function deliver(client, data, isBinary = false) {
+  if (client.readyState !== WebSocket.OPEN) return false;
+  const queued = client.bufferedAmount;
+  if (queued > SEND_HIGH_WATER) {
+    log("warn", "slow_consumer", { clientId: client.clientId, session: client.sessionId, queued });
+    count("relay_disconnects_total", { reason: "slow_consumer" });
+    client.terminate(); // a close frame would sit behind the same queue
+    return false;
+  }
+  if (isBinary && data[1] === AUDIO_FRAME_KIND && queued > AUDIO_HIGH_WATER) {
+    drop("backpressure");
+    return false;
+  }
+  if (isBinary && MEDIA_FRAME_KINDS.has(data[1])) {
+    // Each viewer only gets the quality layer it subscribed to.
+    if (data[FRAME_LAYER_BYTE] !== (client.layer || 0)) return false;
+    const isKey = (data[2] & FRAME_FLAG_KEYFRAME) !== 0;
+    if (queued > MEDIA_HIGH_WATER) {
+      client.skipMedia = true;
+      drop("backpressure");
+      return false;
+    }
+    if (client.skipMedia) {
+      if (!isKey) {
+        drop("media_skip");
+        return false;
+      }
+      client.skipMedia = false;
+    }
+  }
+  client.send(data, { binary: isBinary });
+  const kind = kindOf(data, isBinary);
+  count("relay_messages_forwarded_total", { kind });
+  count("relay_bytes_forwarded_total", { kind }, data.length);
+  return true;
+}
+
+function peerInfo(ws) {
+  return {
+    clientId: ws.clientId,
+    name: ws.name,
+    sub: ws.user.sub, // login subject, so the host can revoke it at the key service
+    role: ws.role,
+    layer: ws.layer || 0,
+    talk: !!sessions.get(ws.sessionId)?.talkers.has(ws.clientId), // may send audio
+    hand: !!ws.handRaised, // asked to talk
+    rtt: ws.rtt ?? null,
+    joinedAt: ws.joinedAt,
+  };
+}
+
+// Full snapshot: who is present, who hosts, whether new joins are allowed
+function rosterOf(sessionId) {
+  const session = sessions.get(sessionId);
+  return {
+    type: "roster",
+    sessionId,
+    hostId: session?.host?.clientId ?? null,
+    state: session ? sessionState(session) : "ended",
+    endsAt: session?.endsAt ?? null,
+    locked: !!session?.locked,
+    policy: session?.policy ?? DEFAULT_POLICY,
+    peers: [...(session?.members.values() || [])].map(peerInfo),
+  };
+}
+
+function sessionState(session) {
+  if (session.host) return "live";
+  return session.hadHost ? "host-away" : "waiting";
+}
+
+function broadcastSession(sessionId, msg, except) {
+  const text = JSON.stringify(msg);
+  sessions.get(sessionId)?.members.forEach((client) => {
+    if (client !== except) deliver(client, text);
+  });
+}
+
+function sendError(ws, code, message) {
+  deliver(ws, JSON.stringify({ type: "error", code, message }));
+}
+
+function isSessionHost(ws) {
+  const session = ws.sessionId && sessions.get(ws.sessionId);
+  return !!session && session.host === ws;
+}
+
+// Only one connection hosts a session; later "host" hellos become viewers.
+// Hosting also needs a streamer login; the hello role alone proves nothing.
+function claimRole(ws, session, role) {
+  if (role === "host" && ws.user.role !== "streamer") {
+    sendError(ws, "role-denied", "Only streamer logins can host; joined as viewer.");
+    role = "viewer";
+  }
+  if (role === "host") {
+    if (!session.host || session.host === ws) {
+      session.host = ws;
+      return "host";
+    }
+    sendError(ws, "host-taken", "This session already has a host; joined as viewer.");
+    return "viewer";
+  }
+  if (session.host === ws) session.host = null;
+  return role;
+}
+
+function parseLayer(value) {
+  return Number.isInteger(value) && value >= 0 && value <= MAX_LAYER ? value : 0;
+}
+
+// hello: (re)bind this socket to a session and tell everyone who is present.
+function joinSession(ws, msg) {
+  const sessionId = msg.sessionId || ws.requestedSessionId || null;
+  const name = ws.user.name; // display name comes from the login token
+
+  if (ws.sessionId && ws.sessionId === sessionId) {
+    // Same session again: only role/name may have changed.
+    const session = sessions.get(sessionId);
+    if (!session) {
+      // ended, socket still closing: repeat the news (if it can still hear
+      // it) instead of rebinding
+      deliver(ws, JSON.stringify({ type: "session-ended", sessionId, reason: ws.endedReason }));
+      return;
+    }
+    const wasHost = session.host === ws;
+    const role = claimRole(ws, session, msg.role || null);
+    const changed = ws.role !== role || ws.name !== name;
+    ws.role = role;
+    ws.name = name;
+    ws.layer = parseLayer(msg.layer);
+    if (role === "host") hostArrived(session, msg);
+    else if (wasHost) hostLeft(sessionId, session);
+    if (changed) {
+      broadcastSession(sessionId, { type: "presence", event: "role", peer: peerInfo(ws) });
+      broadcastSession(sessionId, rosterOf(sessionId));
+    }
+    return;
+  }
+
+  // The socket is unbound from here on; it only takes the requested
+  // clientId once it is a member, so a failed join cannot borrow one.
+  leaveSession(ws);
+  ws.name = name;
+  if (!sessionId) return;
+  const clientId = msg.clientId || ws.clientId || randomUUID();
+
+  const existing = sessions.get(sessionId);
+  if (existing) {
+    if (existing.bannedIds.has(clientId) || existing.bannedSubjects.has(loginSubject(ws))) {
+      sendError(ws, "banned", "You are banned from this session.");
+      count("relay_disconnects_total", { reason: "banned" });
+      ws.close(CLOSE_BANNED, "banned");
+      return;
+    }
+    // A locked session still lets a host back in if it has none.
+    const mayHost = msg.role === "host" && ws.user.role === "streamer";
+    if (existing.locked && !(mayHost && !existing.host)) {
+      sendError(ws, "locked", "This session is locked by the host.");
+      count("relay_disconnects_total", { reason: "locked" });
+      ws.close(CLOSE_LOCKED, "locked");
+      return;
+    }
+  }
+
+  const session = existing || {
+    members: new Map(),
+    host: null,
+    hadHost: false,
+    locked: false,
+    policy: DEFAULT_POLICY,
+    bannedIds: new Set(),
+    bannedSubjects: new Set(), // login token subjects, see loginSubject
+    createdAt: Date.now(),
+    endTimer: null,
+    endsAt: null,
+    gop: new Map(), // layer -> { epoch, frames: [Buffer], bytes }, see cacheVideo
+    talkers: new Set(), // viewer clientIds the host lets send audio
+  };
+  if (!existing) {
+    count("relay_sessions_created_total");
+    log("info", "session_created", { session: sessionId, clientId });
+  }
+  // A reconnect can beat the heartbeat that would have dropped the old
+  // socket; the same login (token subject and role) taking over its
+  // clientId replaces it.
+  const stale = session.members.get(clientId);
+  if (stale && stale !== ws) {
+    if (stale.user.sub !== ws.user.sub || stale.user.role !== ws.user.role) {
+      sendError(ws, "id-taken", "Another participant is using this client ID.");
+      return;
+    }
+    if (session.host === stale) {
+      session.host = null;
+      hostLeft(sessionId, session); // the new socket may claim it back below
+    }
+    stale.sessionId = null;
+    stale.terminate();
+  }
+  sessions.set(sessionId, session);
+  session.members.set(clientId, ws);
+  ws.clientId = clientId;
+  ws.sessionId = sessionId;
+  ws.joinedAt = Date.now();
+  ws.layer = parseLayer(msg.layer);
+  ws.role = claimRole(ws, session, msg.role || null);
+  if (ws.role === "host") hostArrived(session, msg);
+
+  broadcastSession(sessionId, { type: "presence", event: "join", peer: peerInfo(ws) }, ws);
+  broadcastSession(sessionId, rosterOf(sessionId));
+}
+
+// Unbinds the socket (session, role, layer) whether or not it was still a
+// member, so nothing it sends afterwards reaches the session.
+function leaveSession(ws) {
+  const sessionId = ws.sessionId;
+  const session = sessionId && sessions.get(sessionId);
+  const member = !!session && session.members.get(ws.clientId) === ws;
+  const peer = member && peerInfo(ws);
+  ws.sessionId = null;
+  ws.role = null;
+  ws.layer = 0;
+  ws.skipMedia = false;
+  ws.handRaised = false;
+  if (!member) return;
+  session.members.delete(ws.clientId);
+  if (session.host === ws) {
+    session.host = null;
+    hostLeft(sessionId, session);
+  }
+  if (session.members.size === 0) {
+    // A host-away session waits out its grace period even when empty.
+    if (!session.endTimer) endSession(sessionId, "empty");
+    return;
+  }
+  broadcastSession(sessionId, { type: "presence", event: "leave", peer });
+  broadcastSession(sessionId, rosterOf(sessionId));
+}
+
+// The first host fixes the security policy; any host cancels a pending end.
+function hostArrived(session, msg) {
+  if (!session.hadHost) {
+    session.hadHost = true;
+    if (SECURITY_POLICIES.has(msg.policy)) session.policy = msg.policy;
+  }
+  clearTimeout(session.endTimer);
+  session.endTimer = null;
+  session.endsAt = null;
+}
+
+function hostLeft(sessionId, session) {
+  clearTimeout(session.endTimer);
+  session.gop.clear(); // a returning host starts with a fresh keyframe
+  session.endsAt = Date.now() + HOST_GRACE_MS;
+  session.endTimer = setTimeout(() => endSession(sessionId, "host-left"), HOST_GRACE_MS);
+}
+
+// reason: "host-ended" | "host-left" | "empty"
+function endSession(sessionId, reason) {
+  const session = sessions.get(sessionId);
+  if (!session) return;
+  clearTimeout(session.endTimer);
+  sessions.delete(sessionId);
+  count("relay_sessions_ended_total", { reason });
+  log("info", "session_ended", { session: sessionId, reason, durationMs: Date.now() - session.createdAt });
+
+  const text = JSON.stringify({ type: "session-ended", sessionId, reason });
+  session.members.forEach((client) => {
+    client.endedReason = reason;
+    deliver(client, text);
+    count("relay_disconnects_total", { reason: "session_ended" });
+    client.close(CLOSE_ENDED, "session ended");
+  });
+}
+
+// Streamer logins may list open sessions (to pick one to host or resume).
+function listSessions(ws) {
+  if (ws.user.role !== "streamer") {
+    drop("forbidden");
+    sendError(ws, "forbidden", "Only streamer logins can list sessions.");
+    return;
+  }
+  const list = [...sessions].map(([sessionId, session]) => ({
+    sessionId,
+    state: sessionState(session),
+    policy: session.policy,
+    locked: session.locked,
+    members: session.members.size,
+    host: session.host?.name ?? null,
+    createdAt: session.createdAt,
+  }));
+  deliver(ws, JSON.stringify({ type: "sessions", sessions: list }));
+}
+
+// ---- Host moderation ----
+// { type: "moderate", action: "kick" | "ban" | "lock" | "unlock" | "allow-talk" | "revoke-talk",
+//   target?: clientId }
+function moderate(ws, msg) {
+  const session = ws.sessionId && sessions.get(ws.sessionId);
+  if (!session || session.host !== ws) {
+    drop("forbidden");
+    sendError(ws, "forbidden", "Only the session host can moderate.");
+    return;
+  }
 
-        // plain chat (unencrypted) can be broadcast as-is
-        if (msg.type === "chat") {
-          console.log(`CHAT: ${msg.text}`);
-          // broadcast to everyone in same session (or everyone if no sessionId)
-          wss.clients.forEach((client) => {
-            if (client.readyState !== WebSocket.OPEN) return;
-            if (ws.sessionId && client.sessionId && client.sessionId !== ws.sessionId) {
-              return;
-            }
-            client.send(text);
-          });
+  if (msg.action === "lock" || msg.action === "unlock") {
+    session.locked = msg.action === "lock";
+  } else if (msg.action === "allow-talk" || msg.action === "revoke-talk") {
+    // Kept by clientId, so it survives the viewer reconnecting.
+    const target = session.members.get(msg.target);
+    if (!target || target === ws) {
+      sendError(ws, "bad-target", "No such participant.");
+      return;
+    }
+    if (msg.action === "allow-talk") session.talkers.add(target.clientId);
+    else session.talkers.delete(target.clientId);
+    target.handRaised = false;
+  } else if (msg.action === "kick" || msg.action === "ban") {
+    const target = session.members.get(msg.target);
+    if (!target || target === ws) {
+      sendError(ws, "bad-target", "No such participant to remove.");
+      return;
+    }
+    session.talkers.delete(target.clientId);
+    if (msg.action === "ban") {
+      session.bannedIds.add(target.clientId);
+      session.bannedSubjects.add(loginSubject(target));
+    }
+    const code = msg.action === "ban" ? CLOSE_BANNED : CLOSE_KICKED;
+    sendError(target, msg.action === "ban" ? "banned" : "kicked", "Removed from the session by the host.");
+    leaveSession(target);
+    count("relay_disconnects_total", { reason: msg.action === "ban" ? "banned" : "kicked" });
+    target.close(code, msg.action === "ban" ? "banned" : "kicked");
+  } else {
+    sendError(ws, "bad-action", `Unknown moderation action: ${msg.action}`);
+    return;
+  }
+
+  log("info", "moderate", { session: ws.sessionId, clientId: ws.clientId, action: msg.action, target: msg.target });
+  broadcastSession(ws.sessionId, rosterOf(ws.sessionId));
+}
+
+// Protocol-level ping/pong gives each client's RTT to the relay; the same
+// loop drops dead sockets, sockets that never said hello, and idle ones.
+setInterval(() => {
+  const now = Date.now();
+  wss.clients.forEach((ws) => {
+    if (ws.readyState !== WebSocket.OPEN) return;
+    if (ws.missedPongs >= MAX_MISSED_PONGS) {
+      log("info", "heartbeat_timeout", { clientId: ws.clientId, session: ws.sessionId });
+      count("relay_disconnects_total", { reason: "heartbeat" });
+      ws.terminate();
+      return;
+    }
+    if (!ws.sessionId && now - ws.connectedAt > HELLO_TIMEOUT_MS) {
+      sendError(ws, "hello-timeout", "No hello received.");
+      count("relay_disconnects_total", { reason: "hello_timeout" });
+      ws.close(1008, "hello timeout");
+      return;
+    }
+    if (now - ws.lastSeen > IDLE_TIMEOUT_MS) {
+      sendError(ws, "idle-timeout", "Closed after being idle.");
+      count("relay_disconnects_total", { reason: "idle" });
+      ws.close(1000, "idle timeout");
+      return;
+    }
+    ws.missedPongs++;
+    ws.pingSentAt = now;
+    ws.ping();
+  });
+  sessions.forEach((_, sessionId) => broadcastSession(sessionId, rosterOf(sessionId)));
+}, HEARTBEAT_MS);
+
+// A viewer picks the video quality layer it receives. Its decoder needs a
+// keyframe of the new layer, so media is held until one passes and the host
+// is asked to send one early.
+function setLayer(ws, msg) {
+  const session = sessions.get(ws.sessionId);
+  if (!session) return;
+  const layer = parseLayer(msg.layer);
+  if (layer === (ws.layer || 0)) return;
+  ws.layer = layer;
+  ws.skipMedia = true;
+  if (session.host && session.host !== ws) {
+    deliver(session.host, JSON.stringify({ type: "keyframe-request", layer, from: ws.clientId }));
+  }
+  log("debug", "layer", { session: ws.sessionId, clientId: ws.clientId, layer });
+  broadcastSession(ws.sessionId, rosterOf(ws.sessionId));
+}
+
+// A viewer asks the host to let it talk ({ type: "talk-request", raised }).
+// The raised hand shows in the roster until the host answers with an
+// "allow-talk" / "revoke-talk" moderation or the viewer lowers it.
+function raiseHand(ws, msg) {
+  const session = sessions.get(ws.sessionId);
+  if (!session || session.host === ws) return;
+  ws.handRaised = !!msg.raised && !session.talkers.has(ws.clientId);
+  log("debug", "talk_request", { session: ws.sessionId, clientId: ws.clientId, raised: ws.handRaised });
+  broadcastSession(ws.sessionId, rosterOf(ws.sessionId));
+}
+
+// ---- Late-join cache ----
+// Per session and layer: the host's latest keyframe and every video frame
+// after it, still ciphertext. A viewer that joined or switched layers sends
+// { type: "catch-up" } once it holds the key and gets those frames with
+// FRAME_FLAG_CACHED set, then { type: "catch-up", layer, frames }. The cache
+// is dropped when it outgrows its limits or the key epoch changes, and
+// restarts at the next keyframe.
+function cacheVideo(session, data) {
+  const layer = data[FRAME_LAYER_BYTE];
+  const epoch = data.readUInt32BE(4);
+  let gop = session.gop.get(layer);
+  if (data[2] & FRAME_FLAG_KEYFRAME) {
+    gop = { epoch, frames: [], bytes: 0 };
+    session.gop.set(layer, gop);
+  }
+  if (!gop) return;
+  if (
+    gop.epoch !== epoch ||
+    gop.bytes + data.length > GOP_CACHE_BYTES ||
+    gop.frames.length >= GOP_CACHE_FRAMES
+  ) {
+    session.gop.delete(layer);
+    return;
+  }
+  gop.frames.push(data);
+  gop.bytes += data.length;
+}
+
+function catchUp(ws) {
+  const session = sessions.get(ws.sessionId);
+  if (!session || session.host === ws) return;
+  const layer = ws.layer || 0;
+  const now = Date.now();
+  if (now - (ws.caughtUpAt || 0) < 1000) {
+    // Still answered: the viewer holds back live video until it hears back.
+    drop("rate_limited");
+    deliver(ws, JSON.stringify({ type: "catch-up", layer, frames: 0 }));
+    return;
+  }
+  ws.caughtUpAt = now;
+  const frames = session.gop.get(layer)?.frames || [];
+  let sent = 0;
+  for (const frame of frames) {
+    const copy = Buffer.from(frame);
+    copy[2] |= FRAME_FLAG_CACHED;
+    if (deliver(ws, copy, true)) sent++;
+  }
+  count("relay_catchups_total", { result: frames.length ? "replayed" : "empty" });
+  log("debug", "catch_up", { session: ws.sessionId, clientId: ws.clientId, layer, frames: sent });
+  deliver(ws, JSON.stringify({ type: "catch-up", layer, frames: sent }));
+}
+
+// Send to everyone else in the sender's session
+function forwardToSession(ws, data, isBinary) {
+  sessions.get(ws.sessionId)?.members.forEach((client) => {
+    if (client !== ws) deliver(client, data, isBinary);
+  });
+}
+
+// Send to one client (by hello clientId) in the sender's session
+function sendToClient(ws, clientId, text) {
+  const client = sessions.get(ws.sessionId)?.members.get(clientId);
+  if (client) deliver(client, text);
+}
+
+// Nothing is forwarded for a socket that has not joined a session yet.
+function requireSession(ws) {
+  if (ws.sessionId) return true;
+  drop("unbound");
+  if (!ws.warnedUnbound) {
+    ws.warnedUnbound = true;
+    sendError(ws, "no-session", "Join a session (hello with a sessionId) first.");
+  }
+  return false;
+}
+
+// JSON control messages. Returns true once the message was handled (or
+// refused). Messages the relay does not know are passed on with `from` set
+// to the sender's clientId, so nobody can speak for another peer.
+function handleControl(ws, msg, data) {
+  // latency ping -> pong; echoes the client's ts and adds the relay
+  // clock so clients can estimate their offset to it
+  if (msg.type === "metric") {
+    const ts = typeof msg.ts === "number" ? msg.ts : undefined;
+    deliver(ws, JSON.stringify({ type: "pong", ts, now: Date.now() }));
+    return true;
+  }
+
+  // open sessions, for streamer logins
+  if (msg.type === "list-sessions") {
+    listSessions(ws);
+    return true;
+  }
+
+  // hello message: bind to a session and announce presence
+  if (msg.type === "hello") {
+    joinSession(ws, msg);
+    log("info", "hello", { clientId: ws.clientId, session: ws.sessionId, role: ws.role });
+    return true;
+  }
+
+  if (!requireSession(ws)) return true;
+  if (!sessions.has(ws.sessionId)) return true; // ended, socket still closing
+
+  // host ends the session for everyone
+  if (msg.type === "end") {
+    if (!isSessionHost(ws)) {
+      drop("forbidden");
+      sendError(ws, "forbidden", "Only the session host can end the session.");
+      return true;
+    }
+    endSession(ws.sessionId, "host-ended");
+    return true;
+  }
+
+  // video quality layer subscription
+  if (msg.type === "layer") {
+    setLayer(ws, msg);
+    return true;
+  }
+
+  // viewer raises / lowers its hand to talk
+  if (msg.type === "talk-request") {
+    raiseHand(ws, msg);
+    return true;
+  }
+
+  // late joiner (or layer switch) asks for the cached keyframe + GOP
+  if (msg.type === "catch-up") {
+    catchUp(ws);
+    return true;
+  }
+
+  // host-only moderation commands
+  if (msg.type === "moderate") {
+    moderate(ws, msg);
+    return true;
+  }
+
+  // an identity key (announced, or sent along with a key request) is only
+  // ever published by the peer it belongs to
+  if ((msg.type === "identity" || msg.type === "key-request") && msg.from !== undefined && msg.from !== ws.clientId) {
+    drop("spoofed");
+    sendError(ws, "forbidden", "You can only announce your own identity key.");
+    return true;
+  }
+
+  // what gets passed on carries the relay's word on who sent it
+  const stamped = JSON.stringify({ ...msg, from: ws.clientId });
+
+  // key rotation notice from the host: viewers fetch the new epoch
+  if (msg.type === "rotate") {
+    if (!isSessionHost(ws)) {
+      drop("forbidden");
+      sendError(ws, "forbidden", "Only the session host can rotate the key.");
+      return true;
+    }
+    log("info", "rotate", { session: ws.sessionId, epoch: msg.epoch, reason: msg.reason });
+    forwardToSession(ws, stamped, false);
+    return true;
+  }
+
+  // plain chat (unencrypted): only permissive sessions relay it, and
+  // the relay stamps the sender and the insecure mark itself
+  if (msg.type === "chat") {
+    const session = ws.sessionId && sessions.get(ws.sessionId);
+    if (session?.policy !== "permissive") {
+      drop("plaintext");
+      sendError(ws, "plaintext-refused", "This session only allows encrypted chat.");
+      return true;
+    }
+    // metadata only: the text never goes to the log
+    log("debug", "plain_chat", { session: ws.sessionId, clientId: ws.clientId, bytes: data.length });
+    const relayed = JSON.stringify({
+      type: "chat",
+      text: String(msg.text ?? ""),
+      from: ws.clientId,
+      name: ws.name,
+      insecure: true,
+    });
+    session.members.forEach((client) => deliver(client, relayed));
+    return true;
+  }
+
+  // stream health from a viewer that opted in: numbers only, stamped
+  // with the sender and delivered to the host alone
+  if (msg.type === "health-report") {
+    const session = sessions.get(ws.sessionId);
+    if (!session?.host) return true; // nobody to report to right now
+    if (session.host === ws || typeof msg.stats !== "object" || !msg.stats) {
+      drop("forbidden");
+      return true;
+    }
+    const stats = {};
+    for (const [k, v] of Object.entries(msg.stats).slice(0, 16)) {
+      if (typeof v === "number" && Number.isFinite(v)) stats[k] = v;
+    }
+    deliver(
+      session.host,
+      JSON.stringify({ type: "health-report", from: ws.clientId, name: ws.name, stats })
+    );
+    return true;
+  }
+
+  // wrapped session keys only come from the host
+  if (msg.type === "key-wrap" && !isSessionHost(ws)) {
+    drop("forbidden");
+    sendError(ws, "forbidden", "Only the session host can distribute keys.");
+    return true;
+  }
+
+  // addressed control messages (e.g. ECDH key-wrap for one viewer)
+  // go only to that client, the rest (identity, key-request, ...) to the
+  // whole session
+  if (msg.to) sendToClient(ws, msg.to, stamped);
+  else forwardToSession(ws, stamped, false);
+  return true;
+}
+
+wss.on("connection", (ws, req) => {
+  const params = new URL(req.url, "http://relay").searchParams;
+  const claims = verifyToken(params.get("token"));
+  if (!claims) {
+    sendError(ws, "unauthorized", "Missing or invalid session token.");
+    count("relay_connections_total", { result: "unauthorized" });
+    log("warn", "unauthorized", { ip: req.socket.remoteAddress });
+    ws.close(CLOSE_UNAUTHORIZED, "unauthorized");
+    return;
+  }
+  ws.user = { sub: claims.sub ?? claims.name, name: claims.name, role: claims.role };
+  ws.requestedSessionId = params.get("id") || null; // default for hello
+  ws.connectedAt = ws.lastSeen = Date.now();
+  ws.missedPongs = 0;
+  ws.msgBucket = new TokenBucket(RATE_MSGS_PER_SEC);
+  ws.byteBucket = new TokenBucket(RATE_BYTES_PER_SEC);
+  count("relay_connections_total", { result: "accepted" });
+  log("info", "connect", { user: ws.user.name, userRole: ws.user.role, ip: req.socket.remoteAddress });
+
+  ws.on("message", (data, isBinary) => {
+    ws.lastSeen = Date.now();
+    const kind = kindOf(data, isBinary);
+    count("relay_messages_received_total", { kind });
+    count("relay_bytes_received_total", { kind }, data.length);
+    if (!withinRate(ws, data.length)) return;
+
+    // Encrypted frames (binary envelope, see src/lib/frame.js) are opaque to
+    // the relay: forward them to the rest of the session without parsing.
+    // Only header bytes are read: the sender, which must be this socket (so
+    // nobody can forge frames or push a peer's replay window ahead), the kind,
+    // to keep viewers from injecting media or files (audio only with the
+    // host's leave), and for video the flags, layer and epoch (routing and
+    // the late-join cache).
+    if (isBinary) {
+      if (!requireSession(ws)) return;
+      const session = sessions.get(ws.sessionId);
+      if (!session) return; // ended, socket still closing
+      if (frameSender(data) !== String(ws.clientId).toLowerCase()) {
+        drop("spoofed");
+        if (!ws.warnedSender) {
+          ws.warnedSender = true;
+          sendError(ws, "forbidden", "Frames must carry your own client ID as the sender.");
+        }
+        return;
+      }
+      if (HOST_ONLY_FRAME_KINDS.has(data[1]) && !isSessionHost(ws)) {
+        drop("forbidden");
+        if (!ws.warnedFrames) {
+          ws.warnedFrames = true;
+          sendError(ws, "forbidden", "Only the session host can send media and files.");
+        }
+        return;
+      }
+      if (data[1] === AUDIO_FRAME_KIND && session.host !== ws && !session.talkers.has(ws.clientId)) {
+        drop("forbidden");
+        if (!ws.warnedAudio) {
+          ws.warnedAudio = true;
+          sendError(ws, "forbidden", "The host has not allowed you to talk.");
+        }
+        return;
+      }
+      if (MEDIA_FRAME_KINDS.has(data[1])) {
+        if (data[2] & FRAME_FLAG_CACHED) {
+          drop("forbidden"); // only the relay marks replays
           return;
         }
-      } catch {
-        // not JSON, fall through to broadcast as raw frame
+        cacheVideo(session, data);
       }
+      forwardToSession(ws, data, true);
+      return;
     }
 
-    // Encrypted frames (AES-GCM) come in as JSON too, but we don't care.
-    // We just forward them to everyone else in the same session.
-    console.log("Forwarding encrypted frame / raw data");
+    if (data.length > MAX_CONTROL_BYTES) {
+      drop("too_large");
+      sendError(ws, "too-large", `Control messages are limited to ${MAX_CONTROL_BYTES} bytes.`);
+      return;
+    }
 
-    wss.clients.forEach((client) => {
-      if (client === ws || client.readyState !== WebSocket.OPEN) return;
-      if (ws.sessionId && client.sessionId && client.sessionId !== ws.sessionId) {
+    let text;
+    try {
+      text = data.toString();
+    } catch {
+      text = null;
+    }
+
+    // Try to interpret JSON control messages. A handler that throws drops
+    // the message (and logs it); it is never broadcast raw instead.
+    let msg = null;
+    try {
+      msg = text && JSON.parse(text);
+    } catch {
+      // not JSON, fall through to broadcast as raw frame
+    }
+    if (msg && typeof msg === "object" && !Array.isArray(msg)) {
+      try {
+        if (handleControl(ws, msg, data)) return;
+      } catch (err) {
+        count("relay_errors_total", { type: "control" });
+        log("error", "control_error", { clientId: ws.clientId, session: ws.sessionId, type: String(msg.type), message: err.message });
         return;
       }
-      client.send(data, { binary: isBinary });
-    });
+    }
+
+    // Other text (not a JSON object) is forwarded as-is to the rest of the session.
+    if (!requireSession(ws) || !sessions.has(ws.sessionId)) return;
+    forwardToSession(ws, data, false);
+  });
+
+  ws.on("pong", () => {
+    ws.missedPongs = 0;
+    if (ws.pingSentAt) ws.rtt = Date.now() - ws.pingSentAt;
   });
 
-  ws.on("close", () => {
-    console.log("Client disconnected");
+  ws.on("close", (code) => {
+    log("info", "disconnect", { clientId: ws.clientId, session: ws.sessionId, code });
+    leaveSession(ws);
   });
 
+  // Oversized messages (maxPayload) land here before the 1009 close.
   ws.on("error", (err) => {
-    console.error("WS error:", err.message);
+    count("relay_errors_total", { type: err.code || "socket" });
+    if (err.code === "WS_ERR_UNSUPPORTED_MESSAGE_LENGTH") drop("too_large");
+    log("error", "socket_error", { clientId: ws.clientId, session: ws.sessionId, code: err.code, message: err.message });
   });
 });
\ No newline at end of file